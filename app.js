@@ -3,6 +3,12 @@
 
 console.log('Freight AI Demo loaded');
 
+// ISO week bucketing ('GGGG-[W]WW', startOf('isoWeek')) needs these dayjs plugins
+if (window.dayjs_plugin_isoWeek && window.dayjs_plugin_advancedFormat) {
+    dayjs.extend(window.dayjs_plugin_isoWeek);
+    dayjs.extend(window.dayjs_plugin_advancedFormat);
+}
+
 // Cost per delay day constant (USD/day) - can be overridden via URL parameter ?cpd=NUMBER
 const COST_PER_DELAY_DAY = (() => {
     const urlParams = new URLSearchParams(window.location.search);
@@ -10,6 +16,47 @@ const COST_PER_DELAY_DAY = (() => {
     return cpdParam ? parseFloat(cpdParam) || 120 : 120;
 })();
 
+// Settings used to live in localStorage under this key; it is still read until they are saved to IndexedDB
+const SETTINGS_STORAGE_KEY = 'derya-settings';
+
+// Savings model settings - edited in the settings panel and saved locally (see Local persistence)
+// Rate precedence per shipment: customer segment override > mode override > cost per delay day
+const savingsSettings = {
+    costPerDelayDay: COST_PER_DELAY_DAY,
+    modeRates: {},
+    segmentRates: {},
+    includeRouteOptimization: false,
+    includeSurcharges: false
+};
+
+// Prediction accuracy settings: misses larger than this (days) are flagged
+const accuracySettings = {
+    missThresholdDays: 2
+};
+
+// Carrier scorecard weights (relative; any non-negative numbers)
+const DEFAULT_SCORECARD_WEIGHTS = {
+    onTimePct: 25,
+    avgDelay: 15,
+    performanceScore: 15,
+    costPerKm: 15,
+    co2Intensity: 10,
+    docsCompletePct: 10,
+    invoiceIssuePct: 10
+};
+const scorecardWeights = { ...DEFAULT_SCORECARD_WEIGHTS };
+
+// Anomaly detection: robust z-score above which a shipment is flagged
+const anomalySettings = {
+    threshold: 3
+};
+
+// Invoice reconciliation: payment SLA in days after delivery, and the aging reference date ('' = today)
+const financeSettings = {
+    paymentSlaDays: 30,
+    asOfDate: ''
+};
+
 // Global variables to store chart instances
 let delayByCarrierChart = null;
 let riskDistributionChart = null;
@@ -17,47 +64,210 @@ let costDistanceChart = null;
 let modeEmissionsChart = null;
 let dataTable = null;
 
+// Currently loaded dataset
+let loadedRows = [];
+let loadedSourceName = '';
+
 // Helper function to safely convert values to numbers
 function num(v) {
     const n = Number(v);
     return isNaN(n) ? 0 : n;
 }
 
+// Helper function to escape user-provided values before inserting them as HTML
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Confirmed column mapping for the loaded dataset (canonical field -> header), see the column mapping section
+let columnMapping = null;
+
+// Helper function to read a canonical field through the column mapping, falling back to common header names
+// A field mapped to '' was marked "Not in file" and is never guessed from other headers
+function readField(row, field, fallback) {
+    if (!columnMapping || columnMapping[field] === undefined) {
+        return fallback();
+    }
+    const column = columnMapping[field];
+    return column ? row[column] : undefined;
+}
+
 // Utility functions for data field access
 function getDelayDays(row) {
-    return num(row.actual_delay_days || row.DelayDays || row.delay || row.Delay || 0);
+    return num(getRawDelay(row) || 0);
+}
+
+// Raw delay cell before numeric conversion (undefined when the data has no delay column)
+function getRawDelay(row) {
+    return readField(row, 'delay', () => row.actual_delay_days ?? row.DelayDays ?? row.delay ?? row.Delay);
 }
 
 function getCarrier(row) {
-    return row.carrier_name || row.Carrier || row.carrier || 'Unknown';
+    return readField(row, 'carrier', () => row.carrier_name || row.Carrier || row.carrier) || 'Unknown';
 }
 
 function getDistance(row) {
-    return num(row.route_distance_km || row.distance_km || row.DistanceKm || 0);
+    return num(readField(row, 'distance', () => row.route_distance_km || row.distance_km || row.DistanceKm) || 0);
 }
 
 function getCost(row) {
-    return num(row.cost_usd || row.CostUSD || row.cost || 0);
+    return num(readField(row, 'cost', () => row.cost_usd || row.CostUSD || row.cost) || 0);
 }
 
 function getShipmentId(row) {
-    return row.shipment_id || row.ShipmentId || row.shipment || row.ID || row.id || row.Reference || row.reference || '-';
+    return readField(row, 'shipment_id', () => row.shipment_id || row.ShipmentId || row.shipment || row.ID || row.id || row.Reference || row.reference) || '-';
 }
 
 function getOrigin(row) {
-    return row.origin_city || row.Origin || row.origin || 'Unknown';
+    return readField(row, 'origin', () => row.origin_city || row.origin_port || row.Origin || row.origin) || 'Unknown';
 }
 
 function getDestination(row) {
-    return row.destination_city || row.Destination || row.destination || 'Unknown';
+    return readField(row, 'destination', () => row.destination_city || row.destination_port || row.Destination || row.destination) || 'Unknown';
+}
+
+function getOriginCountry(row) {
+    return row.origin_country || row.OriginCountry || 'Unknown';
+}
+
+function getDestinationCountry(row) {
+    return row.destination_country || row.DestinationCountry || 'Unknown';
 }
 
 function getTransportMode(row) {
-    return row.transport_mode || row.mode || row.Mode || 'Unknown';
+    return readField(row, 'mode', () => row.transport_mode || row.mode || row.Mode) || 'Unknown';
 }
 
 function getWeight(row) {
-    return num(row.weight_kg || row.WeightKg || 0);
+    return num(readField(row, 'weight', () => row.weight_kg || row.WeightKg) || 0);
+}
+
+function getRiskLevel(row) {
+    return normalizeRiskLevel(readField(row, 'risk', () => row.risk_level || row.RiskLevel || row.risk || row.ai_risk_score) || 'Unknown');
+}
+
+function getShipmentDate(row) {
+    return parseDateValue(readField(row, 'shipment_date', () => row.shipment_date || row.ShipmentDate || row.Date || row.date));
+}
+
+function getDeliveryDate(row) {
+    return parseDateValue(readField(row, 'delivery_date', () => row.estimated_delivery_date || row.delivery_date || row.DeliveryDate));
+}
+
+function getSurcharge(row) {
+    return num(row.surcharge_usd || row.SurchargeUSD || row.surcharge || 0);
+}
+
+function getPredictedDelayDays(row) {
+    return num(getRawPredictedDelay(row) || 0);
+}
+
+// Raw predicted delay cell (undefined when the data has no prediction column)
+function getRawPredictedDelay(row) {
+    return readField(row, 'predicted_delay', () => row.predicted_delay_days ?? row.PredictedDelayDays ?? row.predicted_delay);
+}
+
+function getRouteOptimizationSavings(row) {
+    return num(row.route_optimization_savings_usd || row.RouteOptimizationSavingsUSD || 0);
+}
+
+function getCustomerId(row) {
+    return row.customer_id || row.CustomerId || row.customer || 'Unknown';
+}
+
+function getCustomerSegment(row) {
+    return row.customer_segment || row.CustomerSegment || row.segment || 'Unknown';
+}
+
+function getDelayReason(row) {
+    return row.delay_reason || row.DelayReason || row.reason || '';
+}
+
+function getTransitTimeDays(row) {
+    return num(readField(row, 'transit_time', () => row.transit_time_days || row.TransitTimeDays || row.transit_days) || 0);
+}
+
+function getCarrierPerformanceScore(row) {
+    return row.carrier_performance_score ?? row.CarrierPerformanceScore ?? row.performance_score;
+}
+
+function getCustomsDocsComplete(row) {
+    return parseFlag(row.customs_docs_complete ?? row.CustomsDocsComplete ?? row.docs_complete);
+}
+
+function getBookingDate(row) {
+    return parseDateValue(row.booking_date ?? row.BookingDate);
+}
+
+function getPickupDate(row) {
+    return parseDateValue(row.pickup_date ?? row.PickupDate);
+}
+
+function getDocsSubmittedDate(row) {
+    return parseDateValue(row.docs_submitted_date ?? row.DocsSubmittedDate);
+}
+
+function getSanctionHit(row) {
+    return parseFlag(row.sanction_check_flag ?? row.SanctionCheckFlag ?? row.sanction_hit) === true;
+}
+
+function getCommodity(row) {
+    return row.commodity || row.Commodity || 'Unknown';
+}
+
+function getPaymentDate(row) {
+    return parseDateValue(row.payment_date ?? row.PaymentDate);
+}
+
+function getDeclaredValue(row) {
+    return num(row.declared_value_usd || row.DeclaredValueUSD || row.declared_value || 0);
+}
+
+// Actual delivery is the ETA pushed out by the actual delay
+function getActualDeliveryDate(row) {
+    const eta = getDeliveryDate(row);
+    const delayDays = getDelayDays(row);
+    return eta && delayDays > 0 ? eta.add(delayDays, 'day') : eta;
+}
+
+function getInvoiceStatus(row) {
+    return String(row.invoice_status || row.InvoiceStatus || '').trim();
+}
+
+// Flag parsing utility - true/false for yes/no style cells, null when empty
+function parseFlag(value) {
+    if (isEmptyCell(value)) {
+        return null;
+    }
+    return value === true || value === 1 || ['true', 'yes', 'y', '1'].includes(String(value).trim().toLowerCase());
+}
+
+function getReportedEmissions(row) {
+    return num(readField(row, 'emissions', () => row.emissions_kg || row.EmissionsKg || row.carbon_emissions_kg) || 0);
+}
+
+// Date parsing utility - handles Excel serial numbers, Date objects and date strings
+function parseDateValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    let parsed;
+    if (typeof value === 'number') {
+        // Excel serial date: days since 1899-12-30, fraction is the time of day
+        parsed = dayjs(new Date(1899, 11, 30))
+            .add(Math.floor(value), 'day')
+            .add(Math.round((value % 1) * 86400), 'second');
+    } else {
+        parsed = dayjs(value);
+    }
+
+    return parsed.isValid() ? parsed : null;
 }
 
 // Risk level normalization utility
@@ -103,21 +313,105 @@ function normalizeRiskLevel(riskLevel) {
     return normalizedRisk;
 }
 
+// ---- Emissions engine ----
+// Default emission factors in g CO₂e per tonne-km (illustrative GLEC-style values per mode)
+const DEFAULT_MODE_FACTORS = {
+    Air: 500,
+    Road: 62,
+    Rail: 22,
+    Sea: 10
+};
+
+// Emission settings - edited in the settings panel and saved alongside the savings model
+// subModeFactors: mode -> { sub-mode (container type / vehicle class) -> factor }
+const emissionSettings = {
+    modeFactors: { ...DEFAULT_MODE_FACTORS },
+    subModeFactors: {},
+    fallbackMode: 'Road',
+    defaultWeightKg: 1000,
+    preferReported: true
+};
+
+function getSubMode(row) {
+    return row.container_type || row.ContainerType || row.vehicle_class || row.VehicleClass || row.vehicle_type || '';
+}
+
+// Function to work out a shipment's emissions and how they were obtained
+// Returns { kg, method: 'reported' | 'estimated' | 'unavailable', factor, factorSource, fallbacks, notes }
+function estimateEmissions(row) {
+    const reportedKg = getReportedEmissions(row);
+    if (emissionSettings.preferReported && reportedKg > 0) {
+        return { kg: reportedKg, method: 'reported', factor: null, factorSource: null, fallbacks: [], notes: ['Reported by the data source'] };
+    }
+
+    const fallbacks = [];
+    const notes = [];
+    const mode = getTransportMode(row);
+    const subMode = getSubMode(row);
+    const subModeFactors = emissionSettings.subModeFactors[mode] || {};
+
+    // Most specific factor first: sub-mode, then mode, then the fallback mode for unknown modes
+    let factor;
+    let factorSource;
+    if (subMode && typeof subModeFactors[subMode] === 'number') {
+        factor = subModeFactors[subMode];
+        factorSource = `${mode} / ${subMode}`;
+    } else if (typeof emissionSettings.modeFactors[mode] === 'number') {
+        factor = emissionSettings.modeFactors[mode];
+        factorSource = mode;
+    } else {
+        const fallbackMode = emissionSettings.fallbackMode;
+        factor = emissionSettings.modeFactors[fallbackMode] ?? DEFAULT_MODE_FACTORS.Road;
+        factorSource = `${fallbackMode} (fallback)`;
+        fallbacks.push('unknown mode');
+        notes.push(`Unknown mode "${mode}" estimated with the ${fallbackMode} factor`);
+    }
+
+    const distanceKm = getDistance(row);
+    if (distanceKm <= 0) {
+        return { kg: 0, method: 'unavailable', factor, factorSource, fallbacks, notes: [...notes, 'No distance to estimate from'] };
+    }
+
+    let weightKg = getWeight(row);
+    if (weightKg <= 0) {
+        weightKg = emissionSettings.defaultWeightKg;
+        fallbacks.push('default weight');
+        notes.push(`Weight missing, assumed ${weightKg.toLocaleString()} kg`);
+    }
+
+    notes.unshift(`${distanceKm.toLocaleString()} km × ${(weightKg / 1000).toLocaleString()} t × ${factor} g/t-km (${factorSource})`);
+
+    return {
+        kg: (distanceKm * factor * (weightKg / 1000)) / 1000,
+        method: 'estimated',
+        factor,
+        factorSource,
+        fallbacks,
+        notes
+    };
+}
+
 // Emissions calculation utility
 function calculateEmissions(row) {
-    let emissionsKg = num(row.emissions_kg || row.EmissionsKg || row.carbon_emissions_kg || 0);
-    
-    if (emissionsKg <= 0) {
-        const factors = { Air: 500, Road: 62, Rail: 22, Sea: 10 };
-        const mode = getTransportMode(row);
-        const distanceKm = getDistance(row);
-        const weightKg = getWeight(row);
-        const tons = weightKg > 0 ? weightKg / 1000 : 1;
-        const factor = factors[mode] || factors.Road;
-        emissionsKg = (distanceKm * factor * tons) / 1000;
-    }
-    
-    return emissionsKg;
+    return estimateEmissions(row).kg;
+}
+
+// Helper function to summarize where a set of rows' emissions came from
+function summarizeEmissionsProvenance(rows) {
+    const summary = { reported: 0, estimated: 0, withFallback: 0, unavailable: 0, reportedKg: 0, estimatedKg: 0 };
+    rows.forEach(row => {
+        const result = estimateEmissions(row);
+        summary[result.method] += 1;
+        if (result.method === 'reported') {
+            summary.reportedKg += result.kg;
+        } else if (result.method === 'estimated') {
+            summary.estimatedKg += result.kg;
+            if (result.fallbacks.length > 0) {
+                summary.withFallback += 1;
+            }
+        }
+    });
+    return summary;
 }
 
 // Chart creation utility
@@ -164,6 +458,20 @@ function createChartBase(chartId, chartType, data, options) {
     });
 }
 
+// Chart reset utility - removes an existing chart and shows a placeholder message
+function clearChart(chartId, message) {
+    const existingChart = window[chartId + 'Chart'];
+    if (existingChart) {
+        existingChart.destroy();
+        window[chartId + 'Chart'] = null;
+    }
+
+    const ctx = document.getElementById('chart-' + chartId);
+    if (ctx) {
+        ctx.innerHTML = `<p>${escapeHtml(message)}</p>`;
+    }
+}
+
 // Popup factory function
 function createPopup(title, content, buttons) {
     const popup = document.createElement('div');
@@ -206,18 +514,71 @@ function createPopup(title, content, buttons) {
     return popup;
 }
 
+// Helper function to resolve the cost per delay day for a shipment (segment > mode > global)
+function getCostPerDelayDay(row) {
+    const segmentRate = savingsSettings.segmentRates[getCustomerSegment(row)];
+    if (typeof segmentRate === 'number') {
+        return segmentRate;
+    }
+    const modeRate = savingsSettings.modeRates[getTransportMode(row)];
+    if (typeof modeRate === 'number') {
+        return modeRate;
+    }
+    return savingsSettings.costPerDelayDay;
+}
+
+// Helper function to break the savings potential down by source
+function computeSavingsBreakdown(rows) {
+    const breakdown = { delayCost: 0, surcharges: 0, routeOptimization: 0, total: 0 };
+
+    rows.forEach(row => {
+        const delayDays = getDelayDays(row);
+        if (delayDays > 0) {
+            breakdown.delayCost += delayDays * getCostPerDelayDay(row);
+            if (savingsSettings.includeSurcharges) {
+                breakdown.surcharges += getSurcharge(row);
+            }
+        }
+        if (savingsSettings.includeRouteOptimization) {
+            // Negative values mean the alternative route costs more, so they are not savings
+            breakdown.routeOptimization += Math.max(0, getRouteOptimizationSavings(row));
+        }
+    });
+
+    breakdown.total = breakdown.delayCost + breakdown.surcharges + breakdown.routeOptimization;
+    return breakdown;
+}
+
 // Helper function to compute savings potential from late shipments
 function computeSavingsPotential(rows) {
     if (!rows || rows.length === 0) {
         return 0;
     }
 
-    const totalSavings = rows.reduce((sum, row) => {
-        const delayDays = getDelayDays(row);
-        return sum + (delayDays > 0 ? delayDays * COST_PER_DELAY_DAY : 0);
-    }, 0);
+    return computeSavingsBreakdown(rows).total;
+}
+
+// Helper function to check whether the rows carry anything the savings model can price
+function hasSavingsInputs(rows) {
+    return rows.some(row =>
+        !isEmptyCell(getRawDelay(row)) ||
+        (savingsSettings.includeRouteOptimization && getRouteOptimizationSavings(row) !== 0)
+    );
+}
 
-    return totalSavings;
+// Helper function to describe the savings model in one line
+function describeSavingsModel() {
+    const overrideCount = Object.keys(savingsSettings.modeRates).length + Object.keys(savingsSettings.segmentRates).length;
+    const overrideText = overrideCount > 0 ? ` (${overrideCount} rate override${overrideCount === 1 ? '' : 's'})` : '';
+    const parts = [`late shipments × delay days × $${savingsSettings.costPerDelayDay}/day${overrideText}`];
+
+    if (savingsSettings.includeSurcharges) {
+        parts.push('surcharges on late shipments');
+    }
+    if (savingsSettings.includeRouteOptimization) {
+        parts.push('route optimization savings');
+    }
+    return parts.join(' + ');
 }
 
 // Function to compute and update KPIs
@@ -255,14 +616,14 @@ function updateKPIs(rows) {
         document.getElementById('kpi-avg-delay').textContent = '0 days';
     }
 
-    // Calculate and display savings potential
+    // Calculate and display savings potential (a real zero, or n/a when there is nothing to price)
     const savings = computeSavingsPotential(rows);
-    // Placeholder logic for demo purposes - show demo value if no actual savings
-    const displaySavings = savings > 0 ? savings : 187923; // Demo value when no real savings
-    document.getElementById('kpi-savings').textContent = `$${Math.round(displaySavings).toLocaleString()}`;
+    document.getElementById('kpi-savings').textContent = hasSavingsInputs(rows)
+        ? `$${Math.round(savings).toLocaleString()}`
+        : 'n/a';
     
-    // For now, leave Est. CO₂ as -
-    document.getElementById('kpi-co2').textContent = '-';
+    // Est. CO₂ is filled in once the emissions chart has totalled it
+    document.getElementById('kpi-co2').textContent = 'n/a';
 
     console.log('KPIs updated:', {
         totalShipments,
@@ -271,13 +632,8 @@ function updateKPIs(rows) {
     });
 }
 
-// Function to create delay by carrier chart
-function createDelayByCarrierChart(rows) {
-    if (!rows || rows.length === 0) {
-        console.warn('No data available for delay by carrier chart');
-        return;
-    }
-
+// Helper function to aggregate delays per carrier, sorted by average delay descending
+function computeCarrierDelayStats(rows) {
     // Group data by carrier and compute average delay
     const carrierData = {};
     
@@ -288,26 +644,54 @@ function createDelayByCarrierChart(rows) {
         if (!carrierData[carrier]) {
             carrierData[carrier] = {
                 totalDelay: 0,
-                count: 0
+                count: 0,
+                lateCount: 0
             };
         }
         
         carrierData[carrier].totalDelay += delayDays;
         carrierData[carrier].count += 1;
+        if (delayDays > 0) {
+            carrierData[carrier].lateCount += 1;
+        }
     });
 
-    // Filter carriers with at least 5 shipments and compute averages
-    const filteredCarriers = Object.entries(carrierData)
-        .filter(([carrier, data]) => data.count >= 5)
+    return Object.entries(carrierData)
         .map(([carrier, data]) => ({
             name: carrier,
             avgDelay: data.totalDelay / data.count,
-            count: data.count
+            count: data.count,
+            lateCount: data.lateCount
         }))
-        .sort((a, b) => b.avgDelay - a.avgDelay); // Sort by average delay descending
+        .sort((a, b) => b.avgDelay - a.avgDelay);
+}
+
+// Carriers with fewer shipments than this are left out of the delay chart (averages are too noisy)
+const MIN_CARRIER_SHIPMENTS = 5;
+
+// Function to create delay by carrier chart
+function createDelayByCarrierChart(rows) {
+    if (!rows || rows.length === 0) {
+        console.warn('No data available for delay by carrier chart');
+        return;
+    }
+
+    // Keep carriers with enough shipments (already sorted by average delay descending)
+    const carrierStats = computeCarrierDelayStats(rows);
+    const filteredCarriers = carrierStats.filter(carrier => carrier.count >= MIN_CARRIER_SHIPMENTS);
+    const hiddenCarriers = carrierStats.filter(carrier => carrier.count < MIN_CARRIER_SHIPMENTS);
+
+    // Say which carriers were left out instead of dropping them silently
+    const note = document.getElementById('chart-delay-by-carrier-note');
+    if (note) {
+        note.textContent = hiddenCarriers.length > 0
+            ? `Not shown (fewer than ${MIN_CARRIER_SHIPMENTS} shipments): ${hiddenCarriers.map(carrier => `${carrier.name} (${carrier.count})`).join(', ')}. See Carrier Scorecards.`
+            : '';
+    }
 
     if (filteredCarriers.length === 0) {
-        console.warn('No carriers with at least 5 shipments found');
+        console.warn(`No carriers with at least ${MIN_CARRIER_SHIPMENTS} shipments found`);
+        clearChart('delay-by-carrier', `No carriers with at least ${MIN_CARRIER_SHIPMENTS} shipments in this selection`);
         return;
     }
 
@@ -322,6 +706,8 @@ function createDelayByCarrierChart(rows) {
             borderWidth: 2
         }]
     }, {
+        // Clicking a carrier bar filters the dashboard to that carrier
+        ...drillDownOptions(index => drillDown('carrier', filteredCarriers[index].name)),
         scales: {
             y: {
                 beginAtZero: true,
@@ -367,8 +753,7 @@ function createRiskDistributionChart(rows) {
     const riskCounts = {};
     
     rows.forEach(row => {
-        const riskLevel = row.risk_level || row.RiskLevel || row.risk || row.ai_risk_score || 'Unknown';
-        const normalizedRisk = normalizeRiskLevel(riskLevel);
+        const normalizedRisk = getRiskLevel(row);
         riskCounts[normalizedRisk] = (riskCounts[normalizedRisk] || 0) + 1;
     });
 
@@ -378,6 +763,7 @@ function createRiskDistributionChart(rows) {
 
     if (labels.length === 0) {
         console.warn('No risk level data found');
+        clearChart('risk', 'No risk level data in this selection');
         return;
     }
 
@@ -404,6 +790,8 @@ function createRiskDistributionChart(rows) {
             borderWidth: 2
         }]
     }, {
+        // Clicking a risk slice filters the dashboard to that risk level
+        ...drillDownOptions(index => drillDown('risk', labels[index])),
         plugins: {
             legend: {
                 display: true,
@@ -422,13 +810,16 @@ function createRiskDistributionChart(rows) {
 }
 
 // Function to create cost vs distance scatter chart
-function createCostDistanceChart(rows) {
+function createCostDistanceChart(rows, flagged = detectAnomalies(rows || [])) {
     if (!rows || rows.length === 0) {
         console.warn('No data available for cost vs distance chart');
         return;
     }
 
-    // Build array of points { x: distanceKm, y: costUSD, shipmentId }
+    // Flagged shipments are highlighted in the scatter
+    const anomalies = new Map(flagged.map(anomaly => [anomaly.row, anomaly]));
+
+    // Build array of points { x: distanceKm, y: costUSD, shipmentId, row, anomaly }
     const scatterData = rows.map(row => {
         const distanceKm = getDistance(row);
         const costUSD = getCost(row);
@@ -437,35 +828,59 @@ function createCostDistanceChart(rows) {
         return {
             x: distanceKm,
             y: costUSD,
-            shipmentId: shipmentId
+            shipmentId: shipmentId,
+            row: row,
+            anomaly: anomalies.get(row) || null
         };
     }).filter(point => point.x > 0 && point.y > 0); // Filter out invalid data points
 
     if (scatterData.length === 0) {
         console.warn('No valid cost/distance data found for scatter chart');
+        clearChart('cost-distance', 'No cost/distance data in this selection');
         return;
     }
 
+    // A box selection that is still active (e.g. after a sensitivity change) stays highlighted
+    const selected = scatterBoxSelect.rows ? new Set(scatterBoxSelect.rows) : null;
+
     // Create the scatter chart using the base function
     createChartBase('cost-distance', 'scatter', {
         datasets: [{
             label: 'Shipments',
             data: scatterData,
-            backgroundColor: 'rgba(30, 58, 138, 0.7)', // Semi-transparent dark blue
-            borderColor: 'rgba(30, 58, 138, 0.8)',
-            pointRadius: 4,
+            // Semi-transparent dark blue, red for flagged anomalies
+            backgroundColor: scatterData.map(point => getScatterPointColor(point, selected)),
+            borderColor: scatterData.map(point => point.anomaly ? 'rgba(220, 38, 38, 1)' : 'rgba(30, 58, 138, 0.8)'),
+            pointRadius: scatterData.map(point => point.anomaly ? 6 : 4),
             pointHoverRadius: 6,
             pointHoverBackgroundColor: 'rgba(30, 58, 138, 0.9)',
             pointHoverBorderColor: 'rgba(30, 58, 138, 1)',
             pointHoverBorderWidth: 2
         }]
     }, {
+        onClick: (event, elements) => {
+            // Open the shipment behind the clicked point (ignore the click that ends a box selection)
+            if (scatterBoxSelect.justSelected) {
+                scatterBoxSelect.justSelected = false;
+                return;
+            }
+            if (elements.length > 0) {
+                openShipmentDrawer(scatterData[elements[0].index].shipmentId);
+            }
+        },
         plugins: {
             tooltip: {
                 callbacks: {
+                    footer: function() {
+                        return 'Click for shipment details · drag to select an area';
+                    },
                     label: function(context) {
                         const point = context.raw;
-                        return `Shipment: ${point.shipmentId}\nDistance: ${point.x.toLocaleString()} km\nCost: $${point.y.toLocaleString()}`;
+                        const lines = [`Shipment: ${point.shipmentId}`, `Distance: ${point.x.toLocaleString()} km`, `Cost: $${point.y.toLocaleString()}`];
+                        if (point.anomaly) {
+                            lines.push(...point.anomaly.reasons.map(reason => `⚠ ${reason.label}`));
+                        }
+                        return lines;
                     }
                 }
             }
@@ -508,43 +923,56 @@ function createCostDistanceChart(rows) {
         }
     });
 
+    // Drag a box over the scatter to narrow the table to those shipments
+    setupScatterBoxSelect('cost-distance', scatterData);
+
     console.log('Cost vs distance scatter chart created:', {
         pointCount: scatterData.length,
         samplePoints: scatterData.slice(0, 5)
     });
 }
 
-// Function to create data preview table
-function createDataPreviewTable(rows) {
-    if (!rows || rows.length === 0) {
-        console.warn('No data available for data preview table');
-        return;
-    }
+// Page sizes offered by the data table
+const TABLE_PAGE_SIZES = [25, 50, 100, 250];
 
-    // Get table container
-    const container = document.getElementById('table-container');
-    if (!container) {
-        console.error('Table container not found');
-        return;
-    }
+// Helper function to turn a column key into a readable header
+function formatColumnLabel(col) {
+    return col.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+}
 
-    // Clear any existing content
-    container.innerHTML = '';
+// Helper function to format a cell value for display
+function formatCellValue(col, value) {
+    const lowerCol = col.toLowerCase();
+    if (isEmptyCell(value)) {
+        return '-';
+    }
+    if (lowerCol.includes('date')) {
+        const parsedDate = parseDateValue(value);
+        return parsedDate ? parsedDate.format('YYYY-MM-DD') : String(value);
+    }
+    if (typeof value === 'number') {
+        if (lowerCol.includes('cost') || lowerCol.includes('usd')) {
+            return `$${value.toLocaleString()}`;
+        } else if (lowerCol.includes('weight') || lowerCol.includes('kg')) {
+            return `${value.toLocaleString()} kg`;
+        } else if (lowerCol.includes('distance') || lowerCol.includes('km')) {
+            return `${value.toLocaleString()} km`;
+        }
+        return value.toLocaleString();
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'Yes' : 'No';
+    }
+    return String(value);
+}
 
-    // Show first 10 rows for preview
-    const previewRows = rows.slice(0, 10);
-    
-    // Get all unique column names from the data
-    const allColumns = new Set();
-    rows.forEach(row => {
-        Object.keys(row).forEach(key => allColumns.add(key));
-    });
-    
+// Helper function to pick the columns shown by default
+function getDefaultTableColumns(allColumns) {
     // Select key columns to display (prioritize important ones)
     const keyColumns = [
         'shipment_id', 'ShipmentId', 'shipment',
         'carrier', 'carrier_name', 'Carrier',
-        'origin_city', 'destination_city',
+        'origin_city', 'origin_port', 'destination_city', 'destination_port',
         'transport_mode', 'mode',
         'weight_kg', 'volume_m3',
         'route_distance_km', 'distance_km',
@@ -552,158 +980,450 @@ function createDataPreviewTable(rows) {
         'actual_delay_days', 'delay_days',
         'risk_level', 'risk', 'ai_risk_score'
     ];
-    
+
     // Filter to only show columns that exist in the data, avoiding duplicates
     const displayColumns = [];
     const usedColumns = new Set();
-    
+
     keyColumns.forEach(col => {
         // Find the actual column name in the data (case-insensitive)
-        const actualCol = Array.from(allColumns).find(key => 
+        const actualCol = allColumns.find(key =>
             key.toLowerCase() === col.toLowerCase() ||
             key.replace(/_/g, '').toLowerCase() === col.replace(/_/g, '').toLowerCase()
         );
-        
+
         if (actualCol && !usedColumns.has(actualCol.toLowerCase())) {
             displayColumns.push(actualCol);
             usedColumns.add(actualCol.toLowerCase());
         }
     });
-    
-    // If no key columns found, show first 8 columns
-    const finalColumns = displayColumns.length > 0 ? displayColumns : Array.from(allColumns).slice(0, 8);
 
-    // Create table HTML
-    let tableHTML = `
-        <div class="overflow-x-auto">
-            <table class="min-w-full divide-y divide-white/20">
-                <thead class="bg-gray-100">
-                    <tr>
-                        ${finalColumns.map(col => `
-                            <th class="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
-                                ${col.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}
-                            </th>
-                        `).join('')}
-                    </tr>
-                </thead>
-                <tbody class="bg-white divide-y divide-gray-200">
-                    ${previewRows.map(row => `
-                        <tr class="hover:bg-gray-50 transition-colors">
-                            ${finalColumns.map(col => {
-                                // Find the actual column name in the row (case-insensitive)
-                                const actualCol = Object.keys(row).find(key => 
-                                    key.toLowerCase() === col.toLowerCase() ||
-                                    key.replace(/_/g, '').toLowerCase() === col.replace(/_/g, '').toLowerCase()
-                                );
-                                const value = actualCol ? row[actualCol] : '';
-                                
-                                // Format the value for display
-                                let displayValue = value;
-                                if (typeof value === 'number') {
-                                    if (col.includes('cost') || col.includes('usd')) {
-                                        displayValue = `$${value.toLocaleString()}`;
-                                    } else if (col.includes('weight') || col.includes('kg')) {
-                                        displayValue = `${value.toLocaleString()} kg`;
-                                    } else if (col.includes('distance') || col.includes('km')) {
-                                        displayValue = `${value.toLocaleString()} km`;
-                                    } else {
-                                        displayValue = value.toLocaleString();
-                                    }
-                                } else if (typeof value === 'boolean') {
-                                    displayValue = value ? 'Yes' : 'No';
-                                } else if (value === null || value === undefined) {
-                                    displayValue = '-';
-                                }
-                                
-                                return `
-                                    <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                                        ${displayValue}
-                                    </td>
-                                `;
-                            }).join('')}
-                        </tr>
-                    `).join('')}
-                </tbody>
-            </table>
-        </div>
-        <div class="mt-4 text-sm text-gray-600 text-center">
-            Showing ${previewRows.length} of ${rows.length} shipments
-        </div>
-    `;
+    // If no key columns found, show first 8 columns
+    return displayColumns.length > 0 ? displayColumns : allColumns.slice(0, 8);
+}
 
-    container.innerHTML = tableHTML;
+// Helper function to check for a blank cell
+function isEmptyCell(value) {
+    return value === null || value === undefined || value === '';
+}
 
-    console.log('Data preview table created:', {
-        totalRows: rows.length,
-        previewRows: previewRows.length,
-        columns: finalColumns
-    });
+// Helper function to compare two non-empty cell values for sorting
+function compareCellValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
 }
 
-// Function to create mode vs emissions chart
-function createModeEmissionsChart(rows) {
-    if (!rows || rows.length === 0) {
-        console.warn('No data available for mode emissions chart');
-        return;
+// Helper function to test a value against a column filter
+// Supports plain text (contains) and numeric comparisons like ">100" or "<=2"
+function matchesColumnFilter(col, value, filterText) {
+    const comparison = filterText.match(/^(>=|<=|>|<|=)\s*(-?\d+(\.\d+)?)$/);
+    if (comparison && typeof value === 'number') {
+        const target = parseFloat(comparison[2]);
+        switch (comparison[1]) {
+            case '>': return value > target;
+            case '<': return value < target;
+            case '>=': return value >= target;
+            case '<=': return value <= target;
+            default: return value === target;
+        }
     }
+    return formatCellValue(col, value).toLowerCase().includes(filterText.toLowerCase());
+}
 
-    // Demo factors for CO2 emissions estimation (illustrative purposes only)
-    // Values in g CO2 per ton-km (grams per ton-kilometer)
-    const factors = { 
-        Air: 500, 
-        Road: 62, 
-        Rail: 22, 
-        Sea: 10 
-    };
+// Search text per row, built lazily and reused across keystrokes
+const rowSearchText = new WeakMap();
 
-    // Aggregate emissions by transport mode
-    const modeEmissions = {};
-    let totalEmissions = 0;
+function getRowSearchText(row) {
+    if (!rowSearchText.has(row)) {
+        rowSearchText.set(row, Object.entries(row).map(([col, value]) => `${value} ${formatCellValue(col, value)}`).join(' ').toLowerCase());
+    }
+    return rowSearchText.get(row);
+}
 
-    rows.forEach(row => {
-        // Get transport mode
-        const mode = getTransportMode(row);
-        
-        // Calculate emissions using utility function
-        const emissionsKg = calculateEmissions(row);
+// Function to compute the table rows after search, column filters and sorting
+function getTableViewRows() {
+    const { rows, search, columnFilters, sortColumn, sortDirection } = dataTable;
+    const searchText = search.trim().toLowerCase();
+    const activeColumnFilters = Object.entries(columnFilters).filter(([, value]) => value.trim());
+    const selectedRows = scatterBoxSelect.rows ? new Set(scatterBoxSelect.rows) : null;
 
-        // Aggregate by mode
-        if (!modeEmissions[mode]) {
-            modeEmissions[mode] = 0;
+    let viewRows = rows.filter(row => {
+        if (selectedRows && !selectedRows.has(row)) {
+            return false;
         }
-        modeEmissions[mode] += emissionsKg;
-        totalEmissions += emissionsKg;
+        if (searchText && !getRowSearchText(row).includes(searchText)) {
+            return false;
+        }
+        return activeColumnFilters.every(([col, filterText]) => matchesColumnFilter(col, row[col], filterText.trim()));
     });
 
-    // Convert to arrays for Chart.js
-    const modes = Object.keys(modeEmissions);
-    const emissions = Object.values(modeEmissions).map(val => Math.round(val));
+    if (sortColumn) {
+        const direction = sortDirection === 'desc' ? -1 : 1;
+        viewRows = viewRows.slice().sort((a, b) => {
+            // Keep empty values last regardless of direction
+            const emptyA = isEmptyCell(a[sortColumn]);
+            const emptyB = isEmptyCell(b[sortColumn]);
+            if (emptyA || emptyB) {
+                return emptyA === emptyB ? 0 : (emptyA ? 1 : -1);
+            }
+            return compareCellValues(a[sortColumn], b[sortColumn]) * direction;
+        });
+    }
 
-    if (modes.length === 0) {
-        console.warn('No transport mode data found for emissions chart');
+    return viewRows;
+}
+
+// Function to render the table header (sortable titles and per-column filters)
+function renderDataTableHead() {
+    const thead = document.getElementById('data-table-head');
+    if (!thead) {
         return;
     }
 
-    // Create the bar chart using the base function
-    createChartBase('mode-emissions', 'bar', {
-        labels: modes,
-        datasets: [{
-            label: 'CO₂ (kg)',
-            data: emissions,
-            backgroundColor: 'rgba(30, 58, 138, 0.8)', // Dark blue color for emissions
-            borderColor: 'rgba(30, 58, 138, 1)',
-            borderWidth: 2
-        }]
-    }, {
-        scales: {
-            y: {
-                beginAtZero: true,
-                title: {
-                    display: true,
-                    text: 'CO₂ (kg)',
-                    color: 'rgba(55, 65, 81, 0.8)'
-                },
-                ticks: {
+    const { visibleColumns, sortColumn, sortDirection, columnFilters } = dataTable;
+
+    thead.innerHTML = `
+        <tr>
+            ${visibleColumns.map(col => `
+                <th data-sort-column="${escapeHtml(col)}" class="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider cursor-pointer select-none whitespace-nowrap hover:bg-gray-200">
+                    ${escapeHtml(formatColumnLabel(col))}
+                    <span class="text-blue-600">${sortColumn === col ? (sortDirection === 'asc' ? '▲' : '▼') : ''}</span>
+                </th>
+            `).join('')}
+        </tr>
+        <tr>
+            ${visibleColumns.map(col => `
+                <th class="px-2 pb-2">
+                    <input data-filter-column="${escapeHtml(col)}" type="text" value="${escapeHtml(columnFilters[col] || '')}" placeholder="Filter…" class="w-full min-w-[5rem] bg-white border border-gray-300 rounded px-2 py-1 text-xs font-normal text-gray-900 focus:outline-none focus:ring-1 focus:ring-blue-500">
+                </th>
+            `).join('')}
+        </tr>
+    `;
+
+    thead.querySelectorAll('th[data-sort-column]').forEach(th => {
+        th.addEventListener('click', () => {
+            const col = th.dataset.sortColumn;
+            if (dataTable.sortColumn !== col) {
+                dataTable.sortColumn = col;
+                dataTable.sortDirection = 'asc';
+            } else if (dataTable.sortDirection === 'asc') {
+                dataTable.sortDirection = 'desc';
+            } else {
+                dataTable.sortColumn = null;
+            }
+            dataTable.page = 0;
+            renderDataTableHead();
+            renderDataTableBody();
+        });
+    });
+
+    let filterTimer = null;
+    thead.querySelectorAll('input[data-filter-column]').forEach(input => {
+        input.addEventListener('input', () => {
+            dataTable.columnFilters[input.dataset.filterColumn] = input.value;
+            dataTable.page = 0;
+            clearTimeout(filterTimer);
+            filterTimer = setTimeout(renderDataTableBody, 150);
+        });
+    });
+}
+
+// Function to render the current page of table rows and the pager
+function renderDataTableBody() {
+    const tbody = document.getElementById('data-table-body');
+    const footer = document.getElementById('data-table-footer');
+    if (!tbody || !footer) {
+        return;
+    }
+
+    const { visibleColumns, pageSize } = dataTable;
+    const idColumn = columnMapping && columnMapping.shipment_id;
+    const viewRows = getTableViewRows();
+    const pageCount = Math.max(1, Math.ceil(viewRows.length / pageSize));
+    dataTable.page = Math.min(dataTable.page, pageCount - 1);
+    const start = dataTable.page * pageSize;
+    const pageRows = viewRows.slice(start, start + pageSize);
+
+    tbody.innerHTML = pageRows.length > 0
+        ? pageRows.map(row => `
+            <tr class="hover:bg-gray-50 transition-colors">
+                ${visibleColumns.map(col => `
+                    <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        ${col === idColumn ? shipmentLink(row[col]) : escapeHtml(formatCellValue(col, row[col]))}
+                    </td>
+                `).join('')}
+            </tr>
+        `).join('')
+        : `<tr><td colspan="${visibleColumns.length}" class="px-6 py-8 text-center text-sm text-gray-500">No shipments match the table search</td></tr>`;
+
+    const rangeText = viewRows.length === 0
+        ? 'No shipments'
+        : `Showing ${start + 1}–${start + pageRows.length} of ${viewRows.length} shipments`;
+    const filteredNote = viewRows.length !== dataTable.rows.length ? ` (filtered from ${dataTable.rows.length})` : '';
+    footer.innerHTML = `
+        <span>${rangeText}${filteredNote}</span>
+        <div class="flex items-center space-x-2">
+            <button data-page="prev" class="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed" ${dataTable.page === 0 ? 'disabled' : ''}>Previous</button>
+            <span>Page ${dataTable.page + 1} of ${pageCount}</span>
+            <button data-page="next" class="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed" ${dataTable.page >= pageCount - 1 ? 'disabled' : ''}>Next</button>
+        </div>
+    `;
+
+    footer.querySelectorAll('button[data-page]').forEach(button => {
+        button.addEventListener('click', () => {
+            dataTable.page += button.dataset.page === 'next' ? 1 : -1;
+            renderDataTableBody();
+        });
+    });
+}
+
+// Function to show the active scatter selection above the table
+function renderDataTableSelection() {
+    const container = document.getElementById('data-table-selection');
+    if (!container) {
+        return;
+    }
+
+    if (!scatterBoxSelect.rows) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <span class="inline-flex items-center bg-blue-50 border border-blue-200 text-blue-800 text-xs font-medium rounded-full pl-3 pr-1 py-1">
+            ${scatterBoxSelect.rows.length} shipments selected in Cost vs Distance
+            <button id="data-table-selection-clear" class="ml-1 w-5 h-5 rounded-full hover:bg-blue-100 flex items-center justify-center" title="Clear selection">×</button>
+        </span>
+    `;
+    container.classList.remove('hidden');
+
+    container.querySelector('#data-table-selection-clear').addEventListener('click', () => {
+        const chart = window['cost-distanceChart'];
+        const points = chart ? chart.data.datasets[0].data : [];
+        setScatterSelection('cost-distance', points, null);
+    });
+}
+
+// Function to render the column chooser checkboxes
+function renderColumnChooser() {
+    const chooser = document.getElementById('data-table-columns');
+    if (!chooser) {
+        return;
+    }
+
+    chooser.innerHTML = `
+        <div class="flex items-center justify-between mb-2">
+            <span class="text-xs font-medium text-gray-700 uppercase tracking-wider">Visible columns</span>
+            <button id="data-table-columns-reset" class="text-xs text-blue-600 hover:text-blue-800 font-medium">Reset</button>
+        </div>
+        <div class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-1">
+            ${dataTable.allColumns.map(col => `
+                <label class="flex items-center space-x-2 text-sm text-gray-900">
+                    <input type="checkbox" value="${escapeHtml(col)}" ${dataTable.visibleColumns.includes(col) ? 'checked' : ''} class="rounded border-gray-300 text-blue-600">
+                    <span>${escapeHtml(formatColumnLabel(col))}</span>
+                </label>
+            `).join('')}
+        </div>
+    `;
+
+    chooser.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            // Newly shown columns are appended; hidden ones are removed
+            const col = checkbox.value;
+            dataTable.visibleColumns = checkbox.checked
+                ? [...dataTable.visibleColumns, col]
+                : dataTable.visibleColumns.filter(visibleCol => visibleCol !== col);
+            renderDataTableHead();
+            renderDataTableBody();
+            updateUrlState({ replace: true });
+        });
+    });
+
+    chooser.querySelector('#data-table-columns-reset').addEventListener('click', () => {
+        dataTable.visibleColumns = getDefaultTableColumns(dataTable.allColumns);
+        renderColumnChooser();
+        renderDataTableHead();
+        renderDataTableBody();
+        updateUrlState({ replace: true });
+    });
+}
+
+// Function to create the shipment data table (sorting, search, column filters, pagination, column chooser)
+function createDataPreviewTable(rows) {
+    if (!rows || rows.length === 0) {
+        console.warn('No data available for data preview table');
+        return;
+    }
+
+    // Get table container
+    const container = document.getElementById('table-container');
+    if (!container) {
+        console.error('Table container not found');
+        return;
+    }
+
+    // Get all unique column names from the loaded dataset (a filtered subset may miss sparse columns)
+    const allColumns = getColumnHeaders(loadedRows.length > 0 ? loadedRows : rows);
+    const columnsKey = getHeaderSignature(allColumns);
+
+    // Keep sorting, search and column choices across filter changes; reset them for a new layout
+    if (!dataTable || dataTable.columnsKey !== columnsKey) {
+        dataTable = {
+            columnsKey,
+            allColumns,
+            visibleColumns: getDefaultTableColumns(allColumns),
+            sortColumn: null,
+            sortDirection: 'asc',
+            search: '',
+            columnFilters: {},
+            page: 0,
+            pageSize: TABLE_PAGE_SIZES[0]
+        };
+    }
+    dataTable.rows = rows;
+    dataTable.page = 0;
+
+    container.innerHTML = `
+        <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <input id="data-table-search" type="search" value="${escapeHtml(dataTable.search)}" placeholder="Search all columns…" class="flex-1 min-w-[12rem] max-w-md bg-gray-50 border border-gray-300 rounded-lg px-3 py-2 text-sm text-gray-900 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500">
+            <div class="flex items-center space-x-3">
+                <label class="text-sm text-gray-600">
+                    Rows per page
+                    <select id="data-table-page-size" class="ml-1 bg-gray-50 border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-900">
+                        ${TABLE_PAGE_SIZES.map(size => `<option value="${size}" ${size === dataTable.pageSize ? 'selected' : ''}>${size}</option>`).join('')}
+                    </select>
+                </label>
+                <button id="data-table-columns-toggle" class="bg-gray-100 hover:bg-gray-200 text-gray-900 px-4 py-2 rounded-lg text-sm font-medium transition-colors">Columns</button>
+            </div>
+        </div>
+        <div id="data-table-columns" class="hidden mb-4 p-4 bg-gray-50 border border-gray-200 rounded-lg"></div>
+        <div id="data-table-selection" class="hidden mb-4"></div>
+        <div class="overflow-x-auto">
+            <table class="min-w-full divide-y divide-white/20">
+                <thead id="data-table-head" class="bg-gray-100"></thead>
+                <tbody id="data-table-body" class="bg-white divide-y divide-gray-200"></tbody>
+            </table>
+        </div>
+        <div id="data-table-footer" class="mt-4 flex flex-wrap items-center justify-between gap-2 text-sm text-gray-600"></div>
+    `;
+
+    let searchTimer = null;
+    document.getElementById('data-table-search').addEventListener('input', (e) => {
+        dataTable.search = e.target.value;
+        dataTable.page = 0;
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(renderDataTableBody, 150);
+    });
+
+    document.getElementById('data-table-page-size').addEventListener('change', (e) => {
+        dataTable.pageSize = parseInt(e.target.value, 10);
+        dataTable.page = 0;
+        renderDataTableBody();
+    });
+
+    document.getElementById('data-table-columns-toggle').addEventListener('click', () => {
+        document.getElementById('data-table-columns').classList.toggle('hidden');
+    });
+
+    renderColumnChooser();
+    renderDataTableSelection();
+    renderDataTableHead();
+    renderDataTableBody();
+
+    console.log('Data table created:', {
+        totalRows: rows.length,
+        columns: dataTable.visibleColumns
+    });
+}
+
+// Helper function to total emissions (kg CO₂) per transport mode, split by reported vs estimated
+function computeModeEmissions(rows) {
+    const modeEmissions = {};
+    const modeSplit = {};
+    let totalEmissions = 0;
+
+    rows.forEach(row => {
+        // Get transport mode
+        const mode = getTransportMode(row);
+        
+        // Calculate emissions using the emissions engine
+        const { kg: emissionsKg, method } = estimateEmissions(row);
+
+        // Aggregate by mode
+        if (!modeEmissions[mode]) {
+            modeEmissions[mode] = 0;
+            modeSplit[mode] = { reported: 0, estimated: 0 };
+        }
+        modeEmissions[mode] += emissionsKg;
+        modeSplit[mode][method === 'reported' ? 'reported' : 'estimated'] += emissionsKg;
+        totalEmissions += emissionsKg;
+    });
+
+    return { modeEmissions, modeSplit, totalEmissions };
+}
+
+// Function to create mode vs emissions chart
+function createModeEmissionsChart(rows) {
+    if (!rows || rows.length === 0) {
+        console.warn('No data available for mode emissions chart');
+        return;
+    }
+
+    // Aggregate emissions by transport mode (factors live in the emissions engine)
+    const { modeEmissions, modeSplit, totalEmissions } = computeModeEmissions(rows);
+
+    // Convert to arrays for Chart.js
+    const modes = Object.keys(modeEmissions);
+    const reported = modes.map(mode => Math.round(modeSplit[mode].reported));
+    const estimated = modes.map(mode => Math.round(modeSplit[mode].estimated));
+
+    if (modes.length === 0) {
+        console.warn('No transport mode data found for emissions chart');
+        clearChart('mode-emissions', 'No transport mode data in this selection');
+        return;
+    }
+
+    // Create the stacked bar chart (reported vs estimated) using the base function
+    createChartBase('mode-emissions', 'bar', {
+        labels: modes,
+        datasets: [{
+            label: 'Reported CO₂ (kg)',
+            data: reported,
+            backgroundColor: 'rgba(30, 58, 138, 0.8)', // Dark blue color for reported emissions
+            borderColor: 'rgba(30, 58, 138, 1)',
+            borderWidth: 2
+        }, {
+            label: 'Estimated CO₂ (kg)',
+            data: estimated,
+            backgroundColor: 'rgba(30, 58, 138, 0.3)', // Light blue for estimated emissions
+            borderColor: 'rgba(30, 58, 138, 1)',
+            borderWidth: 2
+        }]
+    }, {
+        // Clicking a mode bar filters the dashboard to that mode
+        ...drillDownOptions(index => drillDown('mode', modes[index])),
+        plugins: {
+            legend: {
+                display: true,
+                position: 'bottom',
+                labels: {
+                    color: 'rgba(55, 65, 81, 0.8)'
+                }
+            }
+        },
+        scales: {
+            y: {
+                stacked: true,
+                beginAtZero: true,
+                title: {
+                    display: true,
+                    text: 'CO₂ (kg)',
+                    color: 'rgba(55, 65, 81, 0.8)'
+                },
+                ticks: {
                     color: 'rgba(55, 65, 81, 0.7)',
                     callback: function(value) {
                         return value.toLocaleString() + ' kg';
@@ -714,6 +1434,7 @@ function createModeEmissionsChart(rows) {
                 }
             },
             x: {
+                stacked: true,
                 title: {
                     display: true,
                     text: 'Mode',
@@ -729,327 +1450,6118 @@ function createModeEmissionsChart(rows) {
         }
     });
 
-    console.log('Mode emissions chart created:', { modes, emissions, totalEmissions });
+    console.log('Mode emissions chart created:', { modes, reported, estimated, totalEmissions });
     
     // Return total emissions for KPI update
     return totalEmissions;
 }
 
-// Function to render AI insights
-function renderInsights(rows) {
-    if (!rows || rows.length === 0) {
-        console.warn('No data available for insights');
-        return;
+// ---- Anomaly detection ----
+// Peer groups (by mode) smaller than this are scored against the whole selection instead
+const ANOMALY_MIN_PEERS = 8;
+
+// Flagged shipments listed before the anomaly list is cut off
+const ANOMALY_MAX_ROWS = 50;
+
+// Helper function to compute the median of a list of numbers
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Function to compute robust z-scores (median / MAD), which a few extreme values can't mask
+// Returns zeros when the values have no spread
+function robustZScores(values) {
+    if (values.length === 0) {
+        return [];
     }
+    const center = median(values);
+    const deviations = values.map(value => Math.abs(value - center));
+    // 1.4826 × MAD estimates the standard deviation for normal data; fall back to the mean deviation
+    let scale = 1.4826 * median(deviations);
+    if (scale === 0) {
+        scale = 1.2533 * (deviations.reduce((sum, d) => sum + d, 0) / deviations.length);
+    }
+    return values.map(value => scale > 0 ? (value - center) / scale : 0);
+}
 
-    const insights = [];
-    
-    // 0. Savings potential insight
-    const savings = computeSavingsPotential(rows);
-    insights.push(`Money on the table: ≈ $${Math.round(savings).toLocaleString()} (late shipments × delay days × $${COST_PER_DELAY_DAY}/day).`);
-    
-    // 1. Worst average delay by carrier
-    const carrierDelays = {};
-    rows.forEach(row => {
-        const carrier = getCarrier(row);
-        const delayDays = getDelayDays(row);
-        
-        if (delayDays > 0) { // Only count actual delays
-            if (!carrierDelays[carrier]) {
-                carrierDelays[carrier] = { totalDelay: 0, count: 0 };
+// Function to fit ordinary least squares (normal equations, Gaussian elimination)
+// features: one array per observation (include a leading 1 for the intercept); returns null if singular
+function fitLeastSquares(features, targets) {
+    const size = features[0].length;
+    const matrix = Array.from({ length: size }, () => new Array(size + 1).fill(0));
+    features.forEach((feature, index) => {
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+                matrix[i][j] += feature[i] * feature[j];
             }
-            carrierDelays[carrier].totalDelay += delayDays;
-            carrierDelays[carrier].count += 1;
+            matrix[i][size] += feature[i] * targets[index];
         }
     });
-    
-    const worstCarrier = Object.entries(carrierDelays)
-        .map(([carrier, data]) => ({
-            carrier,
-            avgDelay: data.totalDelay / data.count,
-            count: data.count
-        }))
-        .sort((a, b) => b.avgDelay - a.avgDelay)[0];
-    
-    if (worstCarrier && worstCarrier.count >= 2) { // Only show if at least 2 delayed shipments
-        insights.push(`Carrier ${worstCarrier.carrier} has the highest average delay at ${worstCarrier.avgDelay.toFixed(1)} days (n=${worstCarrier.count}).`);
+
+    for (let column = 0; column < size; column++) {
+        let pivot = column;
+        for (let row = column + 1; row < size; row++) {
+            if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) {
+                pivot = row;
+            }
+        }
+        if (Math.abs(matrix[pivot][column]) < 1e-9) {
+            return null;
+        }
+        [matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]];
+        for (let row = 0; row < size; row++) {
+            if (row !== column) {
+                const factor = matrix[row][column] / matrix[column][column];
+                for (let k = column; k <= size; k++) {
+                    matrix[row][k] -= factor * matrix[column][k];
+                }
+            }
+        }
     }
-    
-    // 2. On-time rate (reuse KPI calculation)
-    const onTimeRows = rows.filter(row => {
-        const delayDays = getDelayDays(row);
-        return delayDays <= 0;
+    return matrix.map((row, index) => row[size] / row[index]);
+}
+
+// Function to score observations against their peers: fit the model per mode, z-score the residuals
+// items: [{ row, features, target }]; returns [{ item, z, expected }]
+function scoreAgainstPeers(items) {
+    const groups = {};
+    items.forEach(item => {
+        const mode = String(getTransportMode(item.row));
+        (groups[mode] = groups[mode] || []).push(item);
     });
-    const onTimeRate = ((onTimeRows.length / rows.length) * 100).toFixed(1);
-    insights.push(`On-time performance is ${onTimeRate}% across ${rows.length} shipments.`);
-    
-    // 3. Risk mix (reuse risk distribution data)
-    const riskCounts = {};
-    rows.forEach(row => {
-        const riskLevel = row.risk_level || row.RiskLevel || row.risk || row.ai_risk_score || 'Unknown';
-        const normalizedRisk = normalizeRiskLevel(riskLevel);
-        riskCounts[normalizedRisk] = (riskCounts[normalizedRisk] || 0) + 1;
+
+    // Small peer groups are pooled so every shipment is scored against enough neighbours
+    const pooled = [];
+    const peerGroups = Object.values(groups).filter(group => {
+        if (group.length < ANOMALY_MIN_PEERS) {
+            pooled.push(...group);
+            return false;
+        }
+        return true;
     });
-    
-    const highRiskCount = (riskCounts['High'] || 0) + (riskCounts['Critical'] || 0);
-    const highRiskPercent = ((highRiskCount / rows.length) * 100).toFixed(1);
-    if (highRiskCount > 0) {
-        insights.push(`High/Critical risk accounts for ${highRiskPercent}% of shipments.`);
+    if (pooled.length > 0) {
+        peerGroups.push(pooled.length >= ANOMALY_MIN_PEERS ? pooled : items);
     }
-    
-    // 4. Cost-distance correlation
-    const validPoints = rows.map(row => {
-        const distance = getDistance(row);
-        const cost = getCost(row);
-        return { distance, cost };
-    }).filter(point => point.distance > 0 && point.cost > 0);
-    
-    if (validPoints.length >= 3) {
-        const correlation = calculatePearsonCorrelation(validPoints);
-        if (Math.abs(correlation) >= 0.3) {
-            const strength = Math.abs(correlation) >= 0.7 ? 'strong' : 'moderate';
-            const direction = correlation > 0 ? 'positive' : 'negative';
-            insights.push(`Cost and distance show a ${strength} ${direction} correlation (r=${correlation.toFixed(2)}).`);
+
+    const scored = new Map();
+    peerGroups.forEach(group => {
+        // Need more observations than coefficients for a meaningful fit
+        const coefficients = group.length > group[0].features.length + 1
+            ? fitLeastSquares(group.map(item => item.features), group.map(item => item.target))
+            : null;
+        const predictions = group.map(item => coefficients
+            ? item.features.reduce((sum, value, index) => sum + value * coefficients[index], 0)
+            : group.reduce((sum, other) => sum + other.target, 0) / group.length);
+        const zScores = robustZScores(group.map((item, index) => item.target - predictions[index]));
+        group.forEach((item, index) => {
+            if (!scored.has(item)) {
+                scored.set(item, { item, z: zScores[index], expected: predictions[index] });
+            }
+        });
+    });
+    return Array.from(scored.values());
+}
+
+// Function to flag shipments with abnormal cost (for distance and weight), transit time (for distance), delay or surcharge share
+// All checks compare a shipment with others of the same mode
+function detectAnomalies(rows, threshold = anomalySettings.threshold) {
+    const flagged = new Map();
+    const flag = (row, reason) => {
+        if (!flagged.has(row)) {
+            flagged.set(row, { row, shipmentId: getShipmentId(row), reasons: [], maxZ: 0 });
+        }
+        const entry = flagged.get(row);
+        entry.reasons.push(reason);
+        entry.maxZ = Math.max(entry.maxZ, Math.abs(reason.z));
+    };
+
+    // Cost: log-log model of cost on distance and weight, so "expensive" means expensive for the haul
+    const costItems = rows
+        .filter(row => getCost(row) > 0 && getDistance(row) > 0 && getWeight(row) > 0)
+        .map(row => ({ row, features: [1, Math.log(getDistance(row)), Math.log(getWeight(row))], target: Math.log(getCost(row)) }));
+    scoreAgainstPeers(costItems).forEach(({ item, z, expected }) => {
+        if (Math.abs(z) > threshold) {
+            const row = item.row;
+            flag(row, {
+                type: 'cost',
+                z,
+                label: `Cost ${z > 0 ? 'high' : 'low'} for haul`,
+                detail: `$${Math.round(getCost(row)).toLocaleString()} vs ~$${Math.round(Math.exp(expected)).toLocaleString()} expected for ${Math.round(getDistance(row)).toLocaleString()} km / ${(getWeight(row) / 1000).toFixed(1)} t by ${getTransportMode(row)}`
+            });
         }
-    }
-    
-    // 5. Top route by emissions
-    const routeEmissions = {};
-    
-    rows.forEach(row => {
-        const origin = getOrigin(row);
-        const destination = getDestination(row);
-        const route = `${origin} → ${destination}`;
-        
-        const emissionsKg = calculateEmissions(row);
-        routeEmissions[route] = (routeEmissions[route] || 0) + emissionsKg;
     });
-    
-    const topRoute = Object.entries(routeEmissions)
-        .sort((a, b) => b[1] - a[1])[0];
-    
-    if (topRoute) {
-        insights.push(`Route ${topRoute[0]} contributes ~${Math.round(topRoute[1]).toLocaleString()} kg CO₂ (est.).`);
-    }
-    
-    // Render insights
-    const insightsContainer = document.querySelector('#insights .space-y-4');
-    console.log('Insights container found:', insightsContainer);
-    console.log('Insights to render:', insights);
-    
+
+    // Transit time: linear in distance
+    const transitItems = rows
+        .filter(row => getTransitTimeDays(row) > 0 && getDistance(row) > 0)
+        .map(row => ({ row, features: [1, getDistance(row)], target: getTransitTimeDays(row) }));
+    scoreAgainstPeers(transitItems).forEach(({ item, z, expected }) => {
+        if (Math.abs(z) > threshold) {
+            const row = item.row;
+            flag(row, {
+                type: 'transit',
+                z,
+                label: `Transit time ${z > 0 ? 'long' : 'short'}`,
+                detail: `${getTransitTimeDays(row)} d vs ~${Math.max(0, expected).toFixed(1)} d expected for ${Math.round(getDistance(row)).toLocaleString()} km by ${getTransportMode(row)}`
+            });
+        }
+    });
+
+    // Delay: against the mode's typical delay; only unusually long delays are a problem
+    const delayItems = rows
+        .filter(row => !isEmptyCell(getRawDelay(row)))
+        .map(row => ({ row, features: [1], target: getDelayDays(row) }));
+    scoreAgainstPeers(delayItems).forEach(({ item, z, expected }) => {
+        if (z > threshold) {
+            const row = item.row;
+            flag(row, {
+                type: 'delay',
+                z,
+                label: 'Delay long',
+                detail: `${item.target} d vs ~${Math.max(0, expected).toFixed(1)} d typical for ${getTransportMode(row)}`
+            });
+        }
+    });
+
+    // Surcharge: share of cost; only unusually high shares are a problem
+    const surchargeItems = rows
+        .filter(row => getCost(row) > 0 && getSurcharge(row) > 0)
+        .map(row => ({ row, features: [1], target: getSurcharge(row) / getCost(row) }));
+    scoreAgainstPeers(surchargeItems).forEach(({ item, z, expected }) => {
+        if (z > threshold) {
+            const row = item.row;
+            flag(row, {
+                type: 'surcharge',
+                z,
+                label: 'Surcharge high',
+                detail: `$${Math.round(getSurcharge(row)).toLocaleString()} is ${(item.target * 100).toFixed(1)}% of cost vs ~${(expected * 100).toFixed(1)}% typical for ${getTransportMode(row)}`
+            });
+        }
+    });
+
+    return Array.from(flagged.values()).sort((a, b) => b.maxZ - a.maxZ);
+}
+
+// Function to render the anomaly list with the reasons each shipment was flagged
+function renderAnomalies(rows, anomalies = detectAnomalies(rows || [])) {
+    const summary = document.getElementById('anomaly-summary');
+    const list = document.getElementById('anomaly-list');
+    if (!summary || !list) {
+        console.error('Anomaly containers not found');
+        return;
+    }
+
+    const sensitivity = document.getElementById('anomaly-sensitivity');
+    if (sensitivity) {
+        sensitivity.value = String(anomalySettings.threshold);
+    }
+
+    const counts = { cost: 0, transit: 0, delay: 0, surcharge: 0 };
+    anomalies.forEach(anomaly => anomaly.reasons.forEach(reason => {
+        counts[reason.type] += 1;
+    }));
+
+    summary.textContent = (rows || []).length === 0
+        ? ''
+        : `${anomalies.length} of ${rows.length} shipments flagged (${counts.cost} cost, ${counts.transit} transit time, ${counts.delay} delay, ${counts.surcharge} surcharge). Compared with shipments of the same mode; flagged points are red in Cost vs Distance.`;
+
+    if (anomalies.length === 0) {
+        list.innerHTML = `<p class="text-sm text-gray-500">No anomalies at this sensitivity.</p>`;
+        return;
+    }
+
+    list.innerHTML = `
+        <table class="min-w-full text-xs">
+            <thead>
+                <tr class="text-gray-700">
+                    <th class="text-left py-1 pr-3">ID</th>
+                    <th class="text-left py-1 pr-3">Carrier</th>
+                    <th class="text-left py-1 pr-3">Mode</th>
+                    <th class="text-left py-1 pr-3">Flagged for</th>
+                    <th class="text-right py-1">|z|</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${anomalies.slice(0, ANOMALY_MAX_ROWS).map(anomaly => `
+                    <tr class="border-t border-gray-200 align-top">
+                        <td class="py-1 pr-3 text-gray-900">${shipmentLink(anomaly.shipmentId)}</td>
+                        <td class="py-1 pr-3 text-gray-900">${escapeHtml(getCarrier(anomaly.row))}</td>
+                        <td class="py-1 pr-3 text-gray-900">${escapeHtml(getTransportMode(anomaly.row))}</td>
+                        <td class="py-1 pr-3 text-gray-900">
+                            ${anomaly.reasons.map(reason => `<p><span class="font-medium text-red-700">${escapeHtml(reason.label)}</span> · ${escapeHtml(reason.detail)}</p>`).join('')}
+                        </td>
+                        <td class="py-1 text-right font-medium text-gray-900">${anomaly.maxZ.toFixed(1)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${anomalies.length > ANOMALY_MAX_ROWS ? `<p class="text-xs text-gray-500 mt-1">…and ${anomalies.length - ANOMALY_MAX_ROWS} more</p>` : ''}
+    `;
+
+    console.log('Anomalies rendered:', { threshold: anomalySettings.threshold, flagged: anomalies.length, counts });
+}
+
+// Function to wire up the anomaly sensitivity control
+function setupAnomalyDetection() {
+    const sensitivity = document.getElementById('anomaly-sensitivity');
+    if (!sensitivity) {
+        return;
+    }
+    sensitivity.value = String(anomalySettings.threshold);
+    sensitivity.addEventListener('change', () => {
+        anomalySettings.threshold = parseFloat(sensitivity.value) || 3;
+        saveSettings();
+        // The scatter highlights depend on the threshold too; the redraw keeps any box selection
+        const anomalies = detectAnomalies(filteredRows);
+        createCostDistanceChart(filteredRows, anomalies);
+        renderAnomalies(filteredRows, anomalies);
+    });
+}
+
+// ---- Trends ----
+// Granularity and rolling-average window (in periods, 0 = off) for the trend charts
+const trendSettings = {
+    granularity: 'week',
+    rollingWindow: 0
+};
+
+// Granularity -> dayjs unit and period key/label formats
+const TREND_GRANULARITIES = {
+    day: { unit: 'day', keyFormat: 'YYYY-MM-DD', labelFormat: 'MMM D' },
+    week: { unit: 'isoWeek', step: 'week', keyFormat: 'GGGG-[W]WW', labelFormat: 'GGGG-[W]WW' },
+    month: { unit: 'month', keyFormat: 'YYYY-MM', labelFormat: 'MMM YYYY' }
+};
+
+// Trend chart id -> metric definition (value per period and axis formatting)
+const TREND_METRICS = {
+    'trend-on-time': {
+        label: 'On-time %',
+        color: '30, 58, 138',
+        value: period => period.count > 0 ? (period.onTime / period.count) * 100 : null,
+        tick: value => value + '%',
+        max: 100
+    },
+    'trend-delay': {
+        label: 'Avg delay (days)',
+        color: '220, 38, 38',
+        value: period => period.count > 0 ? period.delaySum / period.count : null,
+        tick: value => value + ' d'
+    },
+    'trend-cost': {
+        label: 'Total cost (USD)',
+        color: '5, 150, 105',
+        value: period => period.count > 0 ? period.cost : null,
+        tick: value => '$' + value.toLocaleString()
+    },
+    'trend-emissions': {
+        label: 'Total CO₂ (kg)',
+        color: '107, 114, 128',
+        value: period => period.count > 0 ? period.emissions : null,
+        tick: value => value.toLocaleString() + ' kg'
+    }
+};
+
+// Function to bucket rows into consecutive periods by shipment date
+// Periods with no shipments are kept (count 0) so gaps show up on the time axis
+function computeTrendSeries(rows, granularity) {
+    const config = TREND_GRANULARITIES[granularity] || TREND_GRANULARITIES.week;
+    const buckets = {};
+    let first = null;
+    let last = null;
+
+    rows.forEach(row => {
+        const shipmentDate = getShipmentDate(row);
+        if (!shipmentDate) {
+            return;
+        }
+        const start = shipmentDate.startOf(config.unit);
+        const key = start.format(config.keyFormat);
+        if (!buckets[key]) {
+            buckets[key] = { count: 0, onTime: 0, delaySum: 0, cost: 0, emissions: 0 };
+        }
+        const bucket = buckets[key];
+        const delayDays = getDelayDays(row);
+        bucket.count += 1;
+        bucket.delaySum += delayDays;
+        bucket.cost += num(getCost(row));
+        bucket.emissions += calculateEmissions(row);
+        if (delayDays <= 0) {
+            bucket.onTime += 1;
+        }
+        if (!first || start.isBefore(first)) {
+            first = start;
+        }
+        if (!last || start.isAfter(last)) {
+            last = start;
+        }
+    });
+
+    const periods = [];
+    for (let cursor = first; cursor && !cursor.isAfter(last); cursor = cursor.add(1, config.step || config.unit)) {
+        const key = cursor.format(config.keyFormat);
+        periods.push({
+            key,
+            label: cursor.format(config.labelFormat),
+            start: cursor,
+            end: cursor.endOf(config.unit),
+            ...(buckets[key] || { count: 0, onTime: 0, delaySum: 0, cost: 0, emissions: 0 })
+        });
+    }
+    return periods;
+}
+
+// Helper function to compute a trailing rolling average, skipping empty periods
+function rollingAverage(values, windowSize) {
+    return values.map((value, index) => {
+        const windowValues = values.slice(Math.max(0, index - windowSize + 1), index + 1).filter(v => v !== null);
+        return windowValues.length > 0 ? windowValues.reduce((sum, v) => sum + v, 0) / windowValues.length : null;
+    });
+}
+
+// Function to create one trend chart: the metric as a line, volume as bars on a secondary axis
+function createTrendChart(chartId, periods) {
+    const metric = TREND_METRICS[chartId];
+    const values = periods.map(period => {
+        const value = metric.value(period);
+        return value === null ? null : Math.round(value * 10) / 10;
+    });
+
+    const datasets = [{
+        type: 'line',
+        label: metric.label,
+        data: values,
+        borderColor: `rgba(${metric.color}, 1)`,
+        backgroundColor: `rgba(${metric.color}, 0.2)`,
+        borderWidth: 2,
+        pointRadius: periods.length > 60 ? 0 : 3,
+        tension: 0.2,
+        yAxisID: 'y'
+    }];
+
+    if (trendSettings.rollingWindow > 1) {
+        datasets.push({
+            type: 'line',
+            label: `${trendSettings.rollingWindow}-period average`,
+            data: rollingAverage(values, trendSettings.rollingWindow).map(v => v === null ? null : Math.round(v * 10) / 10),
+            borderColor: `rgba(${metric.color}, 0.6)`,
+            borderDash: [6, 4],
+            borderWidth: 2,
+            pointRadius: 0,
+            tension: 0.3,
+            spanGaps: true,
+            yAxisID: 'y'
+        });
+    }
+
+    datasets.push({
+        type: 'bar',
+        label: 'Shipments',
+        data: periods.map(period => period.count),
+        backgroundColor: 'rgba(156, 163, 175, 0.3)',
+        borderWidth: 0,
+        yAxisID: 'y1'
+    });
+
+    createChartBase(chartId, 'bar', {
+        labels: periods.map(period => period.label),
+        datasets
+    }, {
+        // Clicking a period narrows the date filter to it
+        ...drillDownOptions(index => {
+            const period = periods[index];
+            drillDownToDateRange(period.start.format('YYYY-MM-DD'), period.end.format('YYYY-MM-DD'), period.label);
+        }),
+        interaction: {
+            mode: 'index',
+            intersect: false
+        },
+        plugins: {
+            legend: {
+                display: true,
+                position: 'bottom',
+                labels: {
+                    color: 'rgba(55, 65, 81, 0.8)',
+                    boxWidth: 12
+                }
+            }
+        },
+        scales: {
+            y: {
+                beginAtZero: true,
+                max: metric.max,
+                ticks: {
+                    color: 'rgba(55, 65, 81, 0.7)',
+                    callback: metric.tick
+                },
+                grid: {
+                    color: 'rgba(55, 65, 81, 0.1)'
+                }
+            },
+            y1: {
+                position: 'right',
+                beginAtZero: true,
+                title: {
+                    display: true,
+                    text: 'Shipments',
+                    color: 'rgba(55, 65, 81, 0.8)'
+                },
+                ticks: {
+                    color: 'rgba(55, 65, 81, 0.7)',
+                    precision: 0
+                },
+                grid: {
+                    drawOnChartArea: false
+                }
+            },
+            x: {
+                ticks: {
+                    color: 'rgba(55, 65, 81, 0.7)',
+                    maxRotation: 0,
+                    autoSkip: true
+                },
+                grid: {
+                    color: 'rgba(55, 65, 81, 0.1)'
+                }
+            }
+        }
+    });
+}
+
+// Function to render all trend charts for the current rows and trend settings
+function renderTrendCharts(rows) {
+    const periods = computeTrendSeries(rows || [], trendSettings.granularity);
+
+    if (periods.length === 0) {
+        Object.keys(TREND_METRICS).forEach(chartId => clearChart(chartId, 'No shipment dates in this selection'));
+        return;
+    }
+
+    Object.keys(TREND_METRICS).forEach(chartId => createTrendChart(chartId, periods));
+    console.log('Trend charts created:', { granularity: trendSettings.granularity, periods: periods.length });
+}
+
+// Function to highlight the active granularity button
+function syncTrendControls() {
+    document.querySelectorAll('#trend-granularity button[data-granularity]').forEach(button => {
+        const active = button.dataset.granularity === trendSettings.granularity;
+        button.classList.toggle('bg-blue-600', active);
+        button.classList.toggle('text-white', active);
+        button.classList.toggle('hover:bg-gray-100', !active);
+        button.classList.toggle('text-gray-700', !active);
+    });
+    const rollingSelect = document.getElementById('trend-rolling');
+    if (rollingSelect) {
+        rollingSelect.value = String(trendSettings.rollingWindow);
+    }
+}
+
+// Function to wire up the trend granularity and rolling-average controls
+function setupTrendControls() {
+    document.querySelectorAll('#trend-granularity button[data-granularity]').forEach(button => {
+        button.addEventListener('click', () => {
+            trendSettings.granularity = button.dataset.granularity;
+            syncTrendControls();
+            renderTrendCharts(filteredRows);
+        });
+    });
+
+    const rollingSelect = document.getElementById('trend-rolling');
+    if (rollingSelect) {
+        rollingSelect.addEventListener('change', () => {
+            trendSettings.rollingWindow = parseInt(rollingSelect.value, 10) || 0;
+            renderTrendCharts(filteredRows);
+        });
+    }
+
+    syncTrendControls();
+}
+
+// ---- Prediction accuracy ----
+// Function to pair predicted and actual delays for rows that have both
+function getPredictionPairs(rows) {
+    return rows.map(row => {
+        const rawPredicted = getRawPredictedDelay(row);
+        const rawActual = getRawDelay(row);
+        if (isEmptyCell(rawPredicted) || isEmptyCell(rawActual)) {
+            return null;
+        }
+        const predicted = num(rawPredicted);
+        const actual = num(rawActual);
+        return { row, shipmentId: getShipmentId(row), predicted, actual, error: predicted - actual };
+    }).filter(Boolean);
+}
+
+// Function to compute error metrics and the late/on-time confusion matrix
+// A shipment counts as late when its delay is above 0 days (same rule as the on-time KPI)
+function computePredictionAccuracy(pairs) {
+    const matrix = { truePositive: 0, falsePositive: 0, falseNegative: 0, trueNegative: 0 };
+    let absErrorSum = 0;
+    let squaredErrorSum = 0;
+    let errorSum = 0;
+
+    pairs.forEach(pair => {
+        absErrorSum += Math.abs(pair.error);
+        squaredErrorSum += pair.error * pair.error;
+        errorSum += pair.error;
+
+        const predictedLate = pair.predicted > 0;
+        const actualLate = pair.actual > 0;
+        if (predictedLate && actualLate) {
+            matrix.truePositive += 1;
+        } else if (predictedLate) {
+            matrix.falsePositive += 1;
+        } else if (actualLate) {
+            matrix.falseNegative += 1;
+        } else {
+            matrix.trueNegative += 1;
+        }
+    });
+
+    const count = pairs.length;
+    const predictedLateCount = matrix.truePositive + matrix.falsePositive;
+    const actualLateCount = matrix.truePositive + matrix.falseNegative;
+
+    return {
+        count,
+        mae: count > 0 ? absErrorSum / count : null,
+        rmse: count > 0 ? Math.sqrt(squaredErrorSum / count) : null,
+        // Positive bias = predictions overstate the delay
+        bias: count > 0 ? errorSum / count : null,
+        matrix,
+        accuracy: count > 0 ? (matrix.truePositive + matrix.trueNegative) / count : null,
+        precision: predictedLateCount > 0 ? matrix.truePositive / predictedLateCount : null,
+        recall: actualLateCount > 0 ? matrix.truePositive / actualLateCount : null
+    };
+}
+
+// Function to compute accuracy per group (carrier, mode)
+function computePredictionAccuracyBy(pairs, getter) {
+    const groups = {};
+    pairs.forEach(pair => {
+        const name = String(getter(pair.row) || 'Unknown');
+        (groups[name] = groups[name] || []).push(pair);
+    });
+
+    return Object.entries(groups)
+        .map(([name, groupPairs]) => ({ name, ...computePredictionAccuracy(groupPairs) }))
+        .sort((a, b) => b.mae - a.mae);
+}
+
+// Function to list predictions that missed by more than the threshold, largest miss first
+function getPredictionMisses(pairs, thresholdDays) {
+    return pairs
+        .filter(pair => Math.abs(pair.error) > thresholdDays)
+        .sort((a, b) => Math.abs(b.error) - Math.abs(a.error));
+}
+
+// Helper function to format a ratio as a percentage, or n/a
+function formatPercent(ratio) {
+    return ratio === null ? 'n/a' : `${(ratio * 100).toFixed(1)}%`;
+}
+
+// Helper function to format a signed day value ("+1.2 d")
+function formatSignedDays(days) {
+    return `${days > 0 ? '+' : ''}${days.toFixed(2)} d`;
+}
+
+// Function to create the predicted vs actual delay scatter with a perfect-prediction reference line
+function createPredictionScatterChart(pairs) {
+    const points = pairs.map(pair => ({ x: pair.predicted, y: pair.actual, shipmentId: pair.shipmentId }));
+    const maxDelay = Math.max(1, ...points.map(point => Math.max(point.x, point.y)));
+    const minDelay = Math.min(0, ...points.map(point => Math.min(point.x, point.y)));
+    const missed = point => Math.abs(point.x - point.y) > accuracySettings.missThresholdDays;
+
+    createChartBase('prediction-scatter', 'scatter', {
+        datasets: [{
+            label: 'Shipments',
+            data: points,
+            backgroundColor: points.map(point => missed(point) ? 'rgba(220, 38, 38, 0.7)' : 'rgba(30, 58, 138, 0.6)'),
+            borderColor: points.map(point => missed(point) ? 'rgba(220, 38, 38, 0.9)' : 'rgba(30, 58, 138, 0.8)'),
+            pointRadius: 4,
+            pointHoverRadius: 6
+        }, {
+            type: 'line',
+            label: 'Perfect prediction',
+            data: [{ x: minDelay, y: minDelay }, { x: maxDelay, y: maxDelay }],
+            borderColor: 'rgba(107, 114, 128, 0.6)',
+            borderDash: [6, 4],
+            borderWidth: 1,
+            pointRadius: 0
+        }]
+    }, {
+        onClick: (event, elements) => {
+            const element = elements.find(item => item.datasetIndex === 0);
+            if (element) {
+                openShipmentDrawer(points[element.index].shipmentId);
+            }
+        },
+        plugins: {
+            tooltip: {
+                filter: item => item.datasetIndex === 0,
+                callbacks: {
+                    label: function(context) {
+                        const point = context.raw;
+                        return `Shipment: ${point.shipmentId} · predicted ${point.x} d · actual ${point.y} d`;
+                    }
+                }
+            }
+        },
+        scales: {
+            x: {
+                type: 'linear',
+                title: {
+                    display: true,
+                    text: 'Predicted delay (days)',
+                    color: 'rgba(55, 65, 81, 0.8)'
+                },
+                ticks: {
+                    color: 'rgba(55, 65, 81, 0.7)'
+                },
+                grid: {
+                    color: 'rgba(55, 65, 81, 0.1)'
+                }
+            },
+            y: {
+                title: {
+                    display: true,
+                    text: 'Actual delay (days)',
+                    color: 'rgba(55, 65, 81, 0.8)'
+                },
+                ticks: {
+                    color: 'rgba(55, 65, 81, 0.7)'
+                },
+                grid: {
+                    color: 'rgba(55, 65, 81, 0.1)'
+                }
+            }
+        }
+    });
+}
+
+// Missed predictions listed before the list is cut off
+const ACCURACY_MAX_MISSES = 50;
+
+// Function to render the prediction accuracy panel
+function renderPredictionAccuracy(rows) {
+    const summaryContainer = document.getElementById('accuracy-summary');
+    const matrixContainer = document.getElementById('accuracy-matrix');
+    const breakdownContainer = document.getElementById('accuracy-breakdown');
+    const missesContainer = document.getElementById('accuracy-misses');
+    if (!summaryContainer || !matrixContainer || !breakdownContainer || !missesContainer) {
+        console.error('Prediction accuracy containers not found');
+        return;
+    }
+
+    const thresholdInput = document.getElementById('accuracy-threshold');
+    if (thresholdInput && document.activeElement !== thresholdInput) {
+        thresholdInput.value = accuracySettings.missThresholdDays;
+    }
+
+    const pairs = getPredictionPairs(rows || []);
+    if (pairs.length === 0) {
+        const message = 'No shipments with both predicted and actual delay in this selection';
+        summaryContainer.innerHTML = `<p class="col-span-full text-sm text-gray-500">${message}</p>`;
+        matrixContainer.innerHTML = '';
+        breakdownContainer.innerHTML = '';
+        missesContainer.innerHTML = '';
+        clearChart('prediction-scatter', message);
+        return;
+    }
+
+    const stats = computePredictionAccuracy(pairs);
+    const misses = getPredictionMisses(pairs, accuracySettings.missThresholdDays);
+    const statCard = (label, value, hint) => `
+        <div class="p-3 bg-gray-50 border border-gray-200 rounded-lg" ${hint ? `title="${escapeHtml(hint)}"` : ''}>
+            <p class="text-xs font-medium text-gray-600">${label}</p>
+            <p class="text-lg font-bold text-gray-900">${value}</p>
+        </div>
+    `;
+
+    summaryContainer.innerHTML = [
+        statCard('MAE', `${stats.mae.toFixed(2)} d`, 'Mean absolute error between predicted and actual delay'),
+        statCard('RMSE', `${stats.rmse.toFixed(2)} d`, 'Root mean squared error; weighs large misses more'),
+        statCard('Bias', formatSignedDays(stats.bias), 'Average predicted minus actual; positive means predictions overstate delays'),
+        statCard('Late/on-time accuracy', formatPercent(stats.accuracy), `Precision ${formatPercent(stats.precision)} · recall ${formatPercent(stats.recall)}`),
+        statCard(`Misses > ${accuracySettings.missThresholdDays} d`, `${misses.length} of ${stats.count}`)
+    ].join('');
+
+    const cell = (value, highlight) => `<td class="px-3 py-2 text-center font-medium ${highlight ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}">${value}</td>`;
+    matrixContainer.innerHTML = `
+        <table class="min-w-full text-sm border border-gray-200">
+            <thead>
+                <tr class="bg-gray-50 text-gray-700">
+                    <th class="px-3 py-2"></th>
+                    <th class="px-3 py-2 font-medium">Actually late</th>
+                    <th class="px-3 py-2 font-medium">Actually on time</th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr class="border-t border-gray-200">
+                    <th class="px-3 py-2 text-left font-medium text-gray-700 bg-gray-50">Predicted late</th>
+                    ${cell(stats.matrix.truePositive, true)}
+                    ${cell(stats.matrix.falsePositive, false)}
+                </tr>
+                <tr class="border-t border-gray-200">
+                    <th class="px-3 py-2 text-left font-medium text-gray-700 bg-gray-50">Predicted on time</th>
+                    ${cell(stats.matrix.falseNegative, false)}
+                    ${cell(stats.matrix.trueNegative, true)}
+                </tr>
+            </tbody>
+        </table>
+        <p class="text-xs text-gray-500 mt-2">${stats.matrix.falseNegative} late shipment(s) were not predicted; ${stats.matrix.falsePositive} predicted delay(s) did not happen.</p>
+    `;
+
+    const groupSelect = document.getElementById('accuracy-group');
+    const groupBy = groupSelect && groupSelect.value === 'mode' ? 'mode' : 'carrier';
+    const groups = computePredictionAccuracyBy(pairs, groupBy === 'mode' ? getTransportMode : getCarrier);
+    breakdownContainer.innerHTML = `
+        <table class="min-w-full text-xs">
+            <thead>
+                <tr class="text-gray-700">
+                    <th class="text-left py-1 pr-2">${groupBy === 'mode' ? 'Mode' : 'Carrier'}</th>
+                    <th class="text-right py-1 pr-2">n</th>
+                    <th class="text-right py-1 pr-2">MAE</th>
+                    <th class="text-right py-1 pr-2">Bias</th>
+                    <th class="text-right py-1">Late/on-time accuracy</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${groups.map(group => `
+                    <tr class="border-t border-gray-200">
+                        <td class="py-1 pr-2 text-gray-900">${escapeHtml(group.name)}</td>
+                        <td class="py-1 pr-2 text-right text-gray-900">${group.count}</td>
+                        <td class="py-1 pr-2 text-right text-gray-900">${group.mae.toFixed(2)} d</td>
+                        <td class="py-1 pr-2 text-right text-gray-900">${formatSignedDays(group.bias)}</td>
+                        <td class="py-1 text-right text-gray-900">${formatPercent(group.accuracy)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    missesContainer.innerHTML = misses.length === 0
+        ? `<p class="text-sm text-gray-500">No predictions missed by more than ${accuracySettings.missThresholdDays} days.</p>`
+        : `
+            <table class="min-w-full text-xs">
+                <thead>
+                    <tr class="text-gray-700">
+                        <th class="text-left py-1 pr-2">ID</th>
+                        <th class="text-left py-1 pr-2">Carrier</th>
+                        <th class="text-right py-1 pr-2">Predicted d</th>
+                        <th class="text-right py-1 pr-2">Actual d</th>
+                        <th class="text-right py-1">Miss</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${misses.slice(0, ACCURACY_MAX_MISSES).map(pair => `
+                        <tr class="border-t border-gray-200">
+                            <td class="py-1 pr-2 text-gray-900">${shipmentLink(pair.shipmentId)}</td>
+                            <td class="py-1 pr-2 text-gray-900">${escapeHtml(getCarrier(pair.row))}</td>
+                            <td class="py-1 pr-2 text-right text-gray-900">${pair.predicted}</td>
+                            <td class="py-1 pr-2 text-right text-gray-900">${pair.actual}</td>
+                            <td class="py-1 text-right font-medium ${pair.error < 0 ? 'text-red-600' : 'text-amber-600'}">${formatSignedDays(pair.error)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${misses.length > ACCURACY_MAX_MISSES ? `<p class="text-xs text-gray-500 mt-1">…and ${misses.length - ACCURACY_MAX_MISSES} more</p>` : ''}
+        `;
+
+    createPredictionScatterChart(pairs);
+
+    console.log('Prediction accuracy rendered:', { pairs: pairs.length, mae: stats.mae, rmse: stats.rmse, bias: stats.bias, misses: misses.length });
+}
+
+// Function to wire up the accuracy threshold and grouping controls
+function setupPredictionAccuracy() {
+    const thresholdInput = document.getElementById('accuracy-threshold');
+    if (thresholdInput) {
+        thresholdInput.value = accuracySettings.missThresholdDays;
+        thresholdInput.addEventListener('change', () => {
+            const threshold = parseFloat(thresholdInput.value);
+            accuracySettings.missThresholdDays = isNaN(threshold) || threshold < 0 ? 2 : threshold;
+            saveSettings();
+            renderPredictionAccuracy(filteredRows);
+        });
+    }
+
+    const groupSelect = document.getElementById('accuracy-group');
+    if (groupSelect) {
+        groupSelect.addEventListener('change', () => renderPredictionAccuracy(filteredRows));
+    }
+}
+
+// ---- Delay root causes ----
+// Number of lanes shown in the reason × lane heatmap
+const ROOT_CAUSE_TOP_LANES = 10;
+
+// Helper function to get the lane label used across the dashboard
+function getLaneLabel(row) {
+    return `${getOrigin(row)} → ${getDestination(row)}`;
+}
+
+// Function to aggregate late shipments by delay reason
+// Cost uses the same per-delay-day rates as the savings model (getCostPerDelayDay)
+function computeRootCauses(rows) {
+    const reasons = {};
+    let totalCount = 0;
+    let totalDelayDays = 0;
+
+    rows.forEach(row => {
+        const delayDays = getDelayDays(row);
+        if (delayDays <= 0) {
+            return;
+        }
+        const reason = String(getDelayReason(row) || '').trim() || 'Unspecified';
+        if (!reasons[reason]) {
+            reasons[reason] = { reason, count: 0, delayDays: 0, cost: 0, rows: [] };
+        }
+        reasons[reason].count += 1;
+        reasons[reason].delayDays += delayDays;
+        reasons[reason].cost += delayDays * getCostPerDelayDay(row);
+        reasons[reason].rows.push(row);
+        totalCount += 1;
+        totalDelayDays += delayDays;
+    });
+
+    return { reasons: Object.values(reasons), totalCount, totalDelayDays };
+}
+
+// Function to build a reason × group matrix of delay days
+function computeRootCauseMatrix(reasons, getter) {
+    const matrix = {};
+    const groupTotals = {};
+    reasons.forEach(entry => {
+        matrix[entry.reason] = {};
+        entry.rows.forEach(row => {
+            const group = String(getter(row) || 'Unknown');
+            const delayDays = getDelayDays(row);
+            matrix[entry.reason][group] = (matrix[entry.reason][group] || 0) + delayDays;
+            groupTotals[group] = (groupTotals[group] || 0) + delayDays;
+        });
+    });
+    const groups = Object.keys(groupTotals).sort((a, b) => groupTotals[b] - groupTotals[a]);
+    return { matrix, groups, groupTotals };
+}
+
+// Function to render a heatmap as an HTML table, shading cells by value
+function renderHeatmapTable(rowLabels, columnLabels, getValue) {
+    const max = Math.max(0, ...rowLabels.flatMap(rowLabel => columnLabels.map(columnLabel => getValue(rowLabel, columnLabel))));
+    const shade = value => {
+        if (!value || max === 0) {
+            return '';
+        }
+        const intensity = value / max;
+        return `style="background-color: rgba(220, 38, 38, ${(0.1 + intensity * 0.8).toFixed(2)})" class="px-2 py-1 text-center ${intensity > 0.5 ? 'text-white' : 'text-gray-900'}"`;
+    };
+
+    return `
+        <table class="min-w-full text-xs border border-gray-200">
+            <thead>
+                <tr class="bg-gray-50 text-gray-700">
+                    <th class="px-2 py-1 text-left font-medium">Reason</th>
+                    ${columnLabels.map(label => `<th class="px-2 py-1 font-medium whitespace-nowrap">${escapeHtml(label)}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${rowLabels.map(rowLabel => `
+                    <tr class="border-t border-gray-200">
+                        <th class="px-2 py-1 text-left font-medium text-gray-700 bg-gray-50 whitespace-nowrap">${escapeHtml(rowLabel)}</th>
+                        ${columnLabels.map(columnLabel => {
+                            const value = getValue(rowLabel, columnLabel);
+                            // Summed fractional delays would otherwise show float artefacts (e.g. 7.300000000000001)
+                            const text = value.toFixed(1);
+                            return `<td ${shade(value) || 'class="px-2 py-1 text-center text-gray-400"'} title="${escapeHtml(`${rowLabel} · ${columnLabel}: ${text} delay days`)}">${value ? text : '·'}</td>`;
+                        }).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Function to create the Pareto chart: reasons as bars, cumulative share as a line
+function createRootCauseParetoChart(reasons, total, metric) {
+    const valueLabel = metric === 'count' ? 'Late shipments' : 'Delay days';
+    let cumulative = 0;
+    const cumulativeShare = reasons.map(entry => {
+        cumulative += entry[metric];
+        return Math.round((cumulative / total) * 1000) / 10;
+    });
+
+    createChartBase('root-cause-pareto', 'bar', {
+        labels: reasons.map(entry => entry.reason),
+        datasets: [{
+            type: 'line',
+            label: 'Cumulative %',
+            data: cumulativeShare,
+            borderColor: 'rgba(220, 38, 38, 1)',
+            backgroundColor: 'rgba(220, 38, 38, 1)',
+            borderWidth: 2,
+            pointRadius: 3,
+            yAxisID: 'y1'
+        }, {
+            label: valueLabel,
+            data: reasons.map(entry => entry[metric]),
+            backgroundColor: 'rgba(30, 58, 138, 0.8)',
+            borderColor: 'rgba(30, 58, 138, 1)',
+            borderWidth: 2,
+            yAxisID: 'y'
+        }]
+    }, {
+        plugins: {
+            legend: {
+                display: true,
+                position: 'bottom',
+                labels: {
+                    color: 'rgba(55, 65, 81, 0.8)',
+                    boxWidth: 12
+                }
+            }
+        },
+        scales: {
+            y: {
+                beginAtZero: true,
+                title: {
+                    display: true,
+                    text: valueLabel,
+                    color: 'rgba(55, 65, 81, 0.8)'
+                },
+                ticks: {
+                    color: 'rgba(55, 65, 81, 0.7)',
+                    precision: 0
+                },
+                grid: {
+                    color: 'rgba(55, 65, 81, 0.1)'
+                }
+            },
+            y1: {
+                position: 'right',
+                min: 0,
+                max: 100,
+                ticks: {
+                    color: 'rgba(55, 65, 81, 0.7)',
+                    callback: function(value) {
+                        return value + '%';
+                    }
+                },
+                grid: {
+                    drawOnChartArea: false
+                }
+            },
+            x: {
+                ticks: {
+                    color: 'rgba(55, 65, 81, 0.7)'
+                },
+                grid: {
+                    color: 'rgba(55, 65, 81, 0.1)'
+                }
+            }
+        }
+    });
+}
+
+// Function to render the root-cause section (Pareto, cost table and heatmaps)
+function renderRootCauses(rows) {
+    const costsContainer = document.getElementById('root-cause-costs');
+    const carrierContainer = document.getElementById('root-cause-carrier-heatmap');
+    const laneContainer = document.getElementById('root-cause-lane-heatmap');
+    if (!costsContainer || !carrierContainer || !laneContainer) {
+        console.error('Root cause containers not found');
+        return;
+    }
+
+    const { reasons, totalCount, totalDelayDays } = computeRootCauses(rows || []);
+    if (reasons.length === 0) {
+        const message = 'No late shipments in this selection';
+        clearChart('root-cause-pareto', message);
+        costsContainer.innerHTML = `<p class="text-sm text-gray-500">${message}</p>`;
+        carrierContainer.innerHTML = '';
+        laneContainer.innerHTML = '';
+        return;
+    }
+
+    const metricSelect = document.getElementById('root-cause-metric');
+    const metric = metricSelect && metricSelect.value === 'count' ? 'count' : 'delayDays';
+    const sorted = [...reasons].sort((a, b) => b[metric] - a[metric]);
+    createRootCauseParetoChart(sorted, metric === 'count' ? totalCount : totalDelayDays, metric);
+
+    const totalCost = reasons.reduce((sum, entry) => sum + entry.cost, 0);
+    costsContainer.innerHTML = `
+        <table class="min-w-full text-xs">
+            <thead>
+                <tr class="text-gray-700">
+                    <th class="text-left py-1 pr-2">Reason</th>
+                    <th class="text-right py-1 pr-2">Late</th>
+                    <th class="text-right py-1 pr-2">Delay d</th>
+                    <th class="text-right py-1 pr-2">Est. cost</th>
+                    <th class="text-right py-1">Share</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${[...reasons].sort((a, b) => b.cost - a.cost).map(entry => `
+                    <tr class="border-t border-gray-200">
+                        <td class="py-1 pr-2 text-gray-900">${escapeHtml(entry.reason)}</td>
+                        <td class="py-1 pr-2 text-right text-gray-900">${entry.count}</td>
+                        <td class="py-1 pr-2 text-right text-gray-900">${entry.delayDays}</td>
+                        <td class="py-1 pr-2 text-right text-gray-900 font-medium">$${Math.round(entry.cost).toLocaleString()}</td>
+                        <td class="py-1 text-right text-gray-900">${totalCost > 0 ? ((entry.cost / totalCost) * 100).toFixed(1) : '0.0'}%</td>
+                    </tr>
+                `).join('')}
+                <tr class="border-t border-gray-300 font-medium">
+                    <td class="py-1 pr-2 text-gray-900">Total</td>
+                    <td class="py-1 pr-2 text-right text-gray-900">${totalCount}</td>
+                    <td class="py-1 pr-2 text-right text-gray-900">${totalDelayDays}</td>
+                    <td class="py-1 pr-2 text-right text-gray-900">$${Math.round(totalCost).toLocaleString()}</td>
+                    <td class="py-1 text-right text-gray-900">100%</td>
+                </tr>
+            </tbody>
+        </table>
+        <p class="text-xs text-gray-500 mt-2">Delay days × cost per delay day ($${savingsSettings.costPerDelayDay}/day unless a mode or segment rate applies).</p>
+    `;
+
+    const reasonLabels = sorted.map(entry => entry.reason);
+    const byCarrier = computeRootCauseMatrix(sorted, getCarrier);
+    carrierContainer.innerHTML = renderHeatmapTable(reasonLabels, byCarrier.groups,
+        (reason, carrier) => byCarrier.matrix[reason][carrier] || 0);
+
+    const byLane = computeRootCauseMatrix(sorted, getLaneLabel);
+    laneContainer.innerHTML = renderHeatmapTable(reasonLabels, byLane.groups.slice(0, ROOT_CAUSE_TOP_LANES),
+        (reason, lane) => byLane.matrix[reason][lane] || 0);
+
+    console.log('Root causes rendered:', { reasons: reasons.length, totalCount, totalDelayDays, totalCost });
+}
+
+// ---- Lane analytics ----
+// Lane table state: port- or country-level lanes and the sort column
+const laneTable = {
+    level: 'port',
+    sortColumn: 'count',
+    sortDirection: 'desc'
+};
+
+// Lane table columns: key -> header, value formatter and alignment
+const LANE_COLUMNS = [
+    { key: 'lane', label: 'Lane', format: lane => escapeHtml(lane.lane) },
+    { key: 'count', label: 'Shipments', numeric: true, format: lane => lane.count },
+    { key: 'onTimePct', label: 'On-time', numeric: true, format: lane => `${lane.onTimePct.toFixed(1)}%` },
+    { key: 'avgDelay', label: 'Avg delay', numeric: true, format: lane => `${lane.avgDelay.toFixed(1)} d` },
+    { key: 'p90Delay', label: 'P90 delay', numeric: true, format: lane => `${lane.p90Delay.toFixed(1)} d` },
+    { key: 'costPerKm', label: 'Cost/km', numeric: true, format: lane => lane.costPerKm === null ? 'n/a' : `$${lane.costPerKm.toFixed(2)}` },
+    { key: 'costPerKg', label: 'Cost/kg', numeric: true, format: lane => lane.costPerKg === null ? 'n/a' : `$${lane.costPerKg.toFixed(2)}` },
+    { key: 'emissionsPerTonneKm', label: 'g CO₂/t-km', numeric: true, format: lane => lane.emissionsPerTonneKm === null ? 'n/a' : lane.emissionsPerTonneKm.toFixed(1) },
+    { key: 'carrierMix', label: 'Carrier mix', format: lane => formatCarrierMix(lane.carrierMix) }
+];
+
+// Helper function to get the country-level lane label
+function getCountryLaneLabel(row) {
+    return `${getOriginCountry(row)} → ${getDestinationCountry(row)}`;
+}
+
+// Lane filter values name their level ("port:Shanghai → Rotterdam") so a label only matches at that level
+const LANE_FILTER_LEVELS = ['port', 'country'];
+
+// Helper function to build the lane filter value for a lane label at the given level
+function toLaneFilter(level, lane) {
+    return `${level}:${lane}`;
+}
+
+// Helper function to split a lane filter value into its level and lane label (no level = port level)
+function parseLaneFilter(value) {
+    const separator = value.indexOf(':');
+    const level = value.slice(0, separator);
+    return LANE_FILTER_LEVELS.includes(level)
+        ? { level, lane: value.slice(separator + 1) }
+        : { level: 'port', lane: value };
+}
+
+// Helper function to compute a percentile (nearest rank) of a list of numbers
+function percentile(values, p) {
+    if (values.length === 0) {
+        return 0;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// Function to aggregate shipments per lane (port or country level)
+function computeLaneStats(rows, level) {
+    const getLane = level === 'country' ? getCountryLaneLabel : getLaneLabel;
+    const getLaneOrigin = level === 'country' ? getOriginCountry : getOrigin;
+    const getLaneDestination = level === 'country' ? getDestinationCountry : getDestination;
+    const lanes = {};
+
+    rows.forEach(row => {
+        const lane = getLane(row);
+        if (!lanes[lane]) {
+            lanes[lane] = {
+                lane, origin: String(getLaneOrigin(row)), destination: String(getLaneDestination(row)),
+                delays: [], onTime: 0, cost: 0, costWithDistance: 0, distance: 0, costWithWeight: 0, weight: 0,
+                emissions: 0, tonneKm: 0, totalEmissions: 0, carriers: {}
+            };
+        }
+        const entry = lanes[lane];
+        const delayDays = getDelayDays(row);
+        const cost = num(getCost(row));
+        const distance = num(getDistance(row));
+        const weight = num(getWeight(row));
+        const carrier = String(getCarrier(row));
+
+        entry.delays.push(delayDays);
+        if (delayDays <= 0) {
+            entry.onTime += 1;
+        }
+        entry.cost += cost;
+        if (distance > 0) {
+            entry.costWithDistance += cost;
+            entry.distance += distance;
+        }
+        if (weight > 0) {
+            entry.costWithWeight += cost;
+            entry.weight += weight;
+        }
+        // Emissions intensity only counts shipments where tonne-km is known
+        const emissions = calculateEmissions(row);
+        entry.totalEmissions += emissions;
+        if (distance > 0 && weight > 0) {
+            entry.emissions += emissions;
+            entry.tonneKm += (weight / 1000) * distance;
+        }
+        entry.carriers[carrier] = (entry.carriers[carrier] || 0) + 1;
+    });
+
+    return Object.values(lanes).map(entry => {
+        const count = entry.delays.length;
+        return {
+            lane: entry.lane,
+            origin: entry.origin,
+            destination: entry.destination,
+            count,
+            onTimePct: (entry.onTime / count) * 100,
+            avgDelay: entry.delays.reduce((sum, d) => sum + d, 0) / count,
+            p90Delay: percentile(entry.delays, 90),
+            totalCost: entry.cost,
+            costPerKm: entry.distance > 0 ? entry.costWithDistance / entry.distance : null,
+            costPerKg: entry.weight > 0 ? entry.costWithWeight / entry.weight : null,
+            emissionsPerTonneKm: entry.tonneKm > 0 ? (entry.emissions * 1000) / entry.tonneKm : null,
+            totalEmissions: entry.totalEmissions,
+            carrierMix: Object.entries(entry.carriers)
+                .map(([carrier, carrierCount]) => ({ carrier, count: carrierCount }))
+                .sort((a, b) => b.count - a.count)
+        };
+    });
+}
+
+// Helper function to describe a lane's carrier mix ("Maersk 3 · MSC 1 · +2 more")
+function formatCarrierMix(carrierMix) {
+    const shown = carrierMix.slice(0, 2).map(entry => `${escapeHtml(entry.carrier)} ${entry.count}`);
+    if (carrierMix.length > 2) {
+        shown.push(`+${carrierMix.length - 2} more`);
+    }
+    const title = carrierMix.map(entry => `${entry.carrier}: ${entry.count}`).join(', ');
+    return `<span title="${escapeHtml(title)}">${shown.join(' · ')}</span>`;
+}
+
+// Function to render the sortable lane table
+function renderLaneTable(rows) {
+    const container = document.getElementById('lane-table');
+    if (!container) {
+        console.error('Lane table container not found');
+        return;
+    }
+
+    document.querySelectorAll('#lane-level button[data-lane-level]').forEach(button => {
+        const active = button.dataset.laneLevel === laneTable.level;
+        button.classList.toggle('bg-blue-600', active);
+        button.classList.toggle('text-white', active);
+        button.classList.toggle('hover:bg-gray-100', !active);
+        button.classList.toggle('text-gray-700', !active);
+    });
+
+    const lanes = computeLaneStats(rows || [], laneTable.level);
+    if (lanes.length === 0) {
+        container.innerHTML = `
+            <div class="flex items-center justify-center h-32 text-gray-500">
+                <p>No lanes in this selection</p>
+            </div>
+        `;
+        return;
+    }
+
+    // Lanes without a value for the sort column go last in either direction
+    const direction = laneTable.sortDirection === 'asc' ? 1 : -1;
+    lanes.sort((a, b) => {
+        const valueA = laneTable.sortColumn === 'carrierMix' ? a.carrierMix.length : a[laneTable.sortColumn];
+        const valueB = laneTable.sortColumn === 'carrierMix' ? b.carrierMix.length : b[laneTable.sortColumn];
+        if (valueA === null || valueB === null) {
+            return (valueA === null) - (valueB === null);
+        }
+        return compareCellValues(valueA, valueB) * direction;
+    });
+
+    container.innerHTML = `
+        <table class="min-w-full text-xs">
+            <thead class="sticky top-0 bg-white">
+                <tr class="text-gray-700">
+                    ${LANE_COLUMNS.map(column => {
+                        const sorted = laneTable.sortColumn === column.key;
+                        const arrow = sorted ? (laneTable.sortDirection === 'asc' ? ' ▲' : ' ▼') : '';
+                        return `<th data-lane-sort="${column.key}" class="py-2 pr-3 font-medium cursor-pointer select-none whitespace-nowrap hover:text-gray-900 ${column.numeric ? 'text-right' : 'text-left'}">${column.label}${arrow}</th>`;
+                    }).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${lanes.map(lane => `
+                    <tr data-lane="${escapeHtml(lane.lane)}" class="border-t border-gray-200 hover:bg-blue-50 cursor-pointer" title="Show shipments on this lane">
+                        ${LANE_COLUMNS.map(column => `<td class="py-1 pr-3 text-gray-900 ${column.numeric ? 'text-right' : ''} ${column.key === 'lane' ? 'font-medium whitespace-nowrap' : ''}">${column.format(lane)}</td>`).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    container.querySelectorAll('th[data-lane-sort]').forEach(header => {
+        header.addEventListener('click', () => {
+            const column = header.dataset.laneSort;
+            if (laneTable.sortColumn === column) {
+                laneTable.sortDirection = laneTable.sortDirection === 'asc' ? 'desc' : 'asc';
+            } else {
+                laneTable.sortColumn = column;
+                laneTable.sortDirection = column === 'lane' ? 'asc' : 'desc';
+            }
+            renderLaneTable(filteredRows);
+        });
+    });
+
+    // Clicking a lane drills the whole dashboard into its shipments
+    container.querySelectorAll('tr[data-lane]').forEach(tableRow => {
+        tableRow.addEventListener('click', () => drillDown('lane', toLaneFilter(laneTable.level, tableRow.dataset.lane)));
+    });
+
+    console.log('Lane table rendered:', { level: laneTable.level, lanes: lanes.length });
+}
+
+// Function to wire up the port/country lane toggle
+function setupLaneTable() {
+    document.querySelectorAll('#lane-level button[data-lane-level]').forEach(button => {
+        button.addEventListener('click', () => {
+            laneTable.level = button.dataset.laneLevel;
+            renderLaneTable(filteredRows);
+        });
+    });
+}
+
+// ---- Lane map ----
+// Bundled port coordinates ([lat, lon]), keyed by lower-case port name
+const PORT_COORDINATES = {
+    'antwerp': [51.26, 4.40],
+    'algeciras': [36.13, -5.44],
+    'barcelona': [41.35, 2.17],
+    'bremerhaven': [53.55, 8.58],
+    'busan': [35.10, 129.04],
+    'chennai': [13.10, 80.30],
+    'colombo': [6.95, 79.85],
+    'dubai': [25.27, 55.29],
+    'durban': [-29.87, 31.03],
+    'felixstowe': [51.96, 1.35],
+    'genoa': [44.41, 8.92],
+    'guangzhou': [23.09, 113.43],
+    'hamburg': [53.54, 9.97],
+    'ho chi minh city': [10.77, 106.71],
+    'hong kong': [22.30, 114.17],
+    'houston': [29.73, -95.27],
+    'jebel ali': [25.01, 55.06],
+    'jeddah': [21.48, 39.17],
+    'kaohsiung': [22.61, 120.29],
+    'kolkata': [22.55, 88.31],
+    'laem chabang': [13.08, 100.88],
+    'le havre': [49.48, 0.11],
+    'long beach': [33.75, -118.21],
+    'los angeles': [33.73, -118.26],
+    'manila': [14.59, 120.96],
+    'melbourne': [-37.83, 144.91],
+    'mumbai': [18.95, 72.85],
+    'nhava sheva': [18.95, 72.95],
+    'new york': [40.67, -74.04],
+    'ningbo': [29.87, 121.55],
+    'oakland': [37.80, -122.30],
+    'port klang': [3.00, 101.39],
+    'qingdao': [36.07, 120.32],
+    'rotterdam': [51.95, 4.14],
+    'santos': [-23.96, -46.30],
+    'savannah': [32.08, -81.09],
+    'seattle': [47.60, -122.34],
+    'shanghai': [31.23, 121.49],
+    'shenzhen': [22.54, 113.95],
+    'singapore': [1.26, 103.84],
+    'sydney': [-33.96, 151.21],
+    'tanjung pelepas': [1.36, 103.55],
+    'tianjin': [39.00, 117.72],
+    'tokyo': [35.62, 139.78],
+    'valencia': [39.44, -0.32],
+    'vancouver': [49.29, -123.11],
+    'yokohama': [35.45, 139.66]
+};
+
+// Ports added by hand from the map panel ([lat, lon]); persisted with the settings
+const customPortCoordinates = {};
+
+// Simplified world outline as [lon, lat] rings, enough to orient the lane arcs without online tiles
+const WORLD_OUTLINE = [
+    // North America
+    [[-168, 66], [-162, 70], [-140, 70], [-125, 70], [-95, 72], [-80, 73], [-62, 66], [-55, 52], [-66, 45], [-70, 42], [-76, 35], [-81, 31], [-80, 25], [-82, 28], [-84, 30], [-90, 29], [-97, 27], [-97, 22], [-92, 18], [-87, 21], [-88, 16], [-83, 10], [-78, 8], [-82, 8], [-86, 12], [-92, 14], [-105, 20], [-110, 24], [-112, 30], [-115, 30], [-117, 33], [-121, 36], [-124, 41], [-124, 48], [-130, 55], [-138, 59], [-148, 60], [-155, 58], [-165, 60], [-168, 66]],
+    // Greenland
+    [[-73, 78], [-60, 82], [-30, 83], [-20, 78], [-22, 70], [-40, 65], [-44, 60], [-52, 64], [-55, 70], [-73, 78]],
+    // South America
+    [[-80, 8], [-77, 8], [-72, 12], [-62, 11], [-52, 5], [-50, 0], [-44, -2], [-35, -6], [-38, -13], [-41, -22], [-48, -26], [-53, -33], [-58, -38], [-65, -41], [-65, -47], [-68, -52], [-72, -53], [-75, -48], [-73, -40], [-71, -30], [-70, -18], [-76, -14], [-81, -6], [-80, 0], [-78, 2], [-80, 8]],
+    // Eurasia
+    [[-10, 36], [-9, 43], [-2, 44], [-5, 48], [2, 51], [5, 53], [8, 54], [8, 57], [11, 58], [5, 62], [10, 64], [15, 68], [20, 70], [28, 71], [40, 67], [44, 68], [55, 69], [70, 73], [80, 73], [100, 77], [113, 74], [130, 71], [140, 72], [160, 70], [180, 69], [180, 65], [170, 60], [163, 58], [156, 51], [156, 57], [142, 59], [135, 55], [140, 48], [132, 43], [128, 39], [126, 35], [121, 40], [118, 38], [122, 31], [120, 26], [114, 22], [108, 21], [106, 18], [109, 12], [105, 9], [100, 13], [100, 7], [103, 1], [98, 8], [98, 16], [94, 17], [91, 22], [86, 20], [80, 15], [80, 10], [77, 8], [72, 21], [67, 24], [57, 25], [56, 27], [50, 30], [48, 29], [51, 24], [56, 24], [59, 22], [52, 16], [43, 12], [39, 21], [35, 28], [34, 31], [36, 36], [30, 36], [26, 38], [26, 41], [23, 38], [21, 37], [19, 42], [13, 45], [18, 40], [16, 38], [12, 42], [8, 44], [3, 43], [-1, 37], [-6, 36], [-10, 36]],
+    // Great Britain
+    [[-5, 50], [1, 51], [2, 53], [-2, 56], [-2, 58], [-5, 59], [-6, 56], [-3, 54], [-5, 52], [-5, 50]],
+    // Japan
+    [[130, 31], [132, 34], [135, 35], [140, 36], [142, 40], [141, 45], [145, 44], [142, 42], [140, 41], [140, 35], [136, 34], [131, 33], [130, 31]],
+    // Africa
+    [[-17, 21], [-17, 15], [-12, 8], [-8, 4], [0, 5], [9, 4], [9, 0], [13, -5], [12, -17], [15, -27], [18, -34], [25, -34], [33, -28], [35, -24], [40, -15], [40, -5], [43, 0], [51, 11], [43, 12], [39, 16], [37, 22], [35, 28], [32, 31], [25, 32], [20, 31], [10, 34], [10, 37], [3, 37], [-6, 36], [-10, 30], [-13, 27], [-17, 21]],
+    // Madagascar
+    [[44, -25], [47, -25], [50, -15], [49, -12], [44, -17], [44, -25]],
+    // Sumatra, Borneo, New Guinea
+    [[95, 5], [98, 4], [106, -6], [104, -5], [95, 5]],
+    [[109, 2], [117, 7], [119, 1], [116, -4], [110, -3], [109, 2]],
+    [[131, -1], [141, -3], [150, -10], [141, -9], [134, -4], [131, -1]],
+    // Australia
+    [[114, -22], [114, -34], [118, -35], [124, -34], [131, -31], [138, -35], [141, -38], [147, -38], [150, -37], [153, -28], [153, -25], [146, -19], [142, -11], [141, -17], [136, -12], [131, -11], [126, -14], [122, -18], [114, -22]],
+    // New Zealand
+    [[172, -35], [178, -38], [174, -42], [167, -46], [172, -41], [172, -35]]
+];
+
+// Map canvas size and latitude window (equirectangular projection)
+const LANE_MAP_WIDTH = 1000;
+const LANE_MAP_LAT_TOP = 85;
+const LANE_MAP_LAT_BOTTOM = -60;
+const LANE_MAP_HEIGHT = Math.round(LANE_MAP_WIDTH * (LANE_MAP_LAT_TOP - LANE_MAP_LAT_BOTTOM) / 360);
+
+// Lane map colour metric: 'onTime' or 'co2'
+const laneMapSettings = {
+    colorBy: 'onTime'
+};
+
+// Rows the lane map was last drawn from and the carrier it highlights, so the colour toggle can redraw it
+const laneMapView = {
+    rows: [],
+    highlightCarrier: ''
+};
+
+// Function to look up a port's coordinates (manual entries win over the bundled table)
+function getPortCoordinates(port) {
+    const key = String(port).trim().toLowerCase();
+    return customPortCoordinates[key] || PORT_COORDINATES[key] || null;
+}
+
+// Helper function to project [lat, lon] onto the map
+function projectToMap(lat, lon) {
+    return {
+        x: ((lon + 180) / 360) * LANE_MAP_WIDTH,
+        y: ((LANE_MAP_LAT_TOP - lat) / (LANE_MAP_LAT_TOP - LANE_MAP_LAT_BOTTOM)) * LANE_MAP_HEIGHT
+    };
+}
+
+// Helper function to colour a lane: on-time % runs red -> green, CO₂ runs green -> red relative to the largest lane
+function getLaneMapColor(lane, maxEmissions) {
+    const score = laneMapSettings.colorBy === 'co2'
+        ? 1 - (maxEmissions > 0 ? lane.totalEmissions / maxEmissions : 0)
+        : lane.onTimePct / 100;
+    return `hsl(${Math.round(score * 120)}, 70%, 45%)`;
+}
+
+// Function to render the lane map as SVG
+// Lanes come from the port-level lane aggregation; the carrier filter highlights lanes instead of hiding them
+function renderLaneMap(rows = laneMapView.rows, highlightCarrier = laneMapView.highlightCarrier) {
+    laneMapView.rows = rows;
+    laneMapView.highlightCarrier = highlightCarrier;
+
+    const container = document.getElementById('lane-map');
+    const legend = document.getElementById('lane-map-legend');
+    const unknownContainer = document.getElementById('lane-map-unknown');
+    if (!container || !legend || !unknownContainer) {
+        console.error('Lane map containers not found');
+        return;
+    }
+
+    document.querySelectorAll('#lane-map-color button[data-map-color]').forEach(button => {
+        const active = button.dataset.mapColor === laneMapSettings.colorBy;
+        button.classList.toggle('bg-blue-600', active);
+        button.classList.toggle('text-white', active);
+        button.classList.toggle('hover:bg-gray-100', !active);
+        button.classList.toggle('text-gray-700', !active);
+    });
+
+    const lanes = computeLaneStats(rows, 'port');
+
+    const unknownPorts = new Set();
+    const ports = {};
+    const mappedLanes = lanes.filter(lane => {
+        const from = getPortCoordinates(lane.origin);
+        const to = getPortCoordinates(lane.destination);
+        if (!from) {
+            unknownPorts.add(lane.origin);
+        }
+        if (!to) {
+            unknownPorts.add(lane.destination);
+        }
+        if (!from || !to) {
+            return false;
+        }
+        lane.from = projectToMap(from[0], from[1]);
+        lane.to = projectToMap(to[0], to[1]);
+        [[lane.origin, lane.from], [lane.destination, lane.to]].forEach(([port, point]) => {
+            ports[port] = ports[port] || { port, point, count: 0 };
+            ports[port].count += lane.count;
+        });
+        lane.highlighted = !highlightCarrier || lane.carrierMix.some(entry => entry.carrier === highlightCarrier);
+        return true;
+    });
+
+    const maxCount = Math.max(1, ...mappedLanes.map(lane => lane.count));
+    const maxEmissions = Math.max(0, ...mappedLanes.map(lane => lane.totalEmissions));
+    const maxPortCount = Math.max(1, ...Object.values(ports).map(port => port.count));
+
+    const outline = WORLD_OUTLINE.map(ring => {
+        const points = ring.map(([lon, lat]) => projectToMap(lat, lon));
+        return `<path d="M${points.map(point => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join('L')}Z" fill="#e5e7eb" stroke="#cbd5e1" stroke-width="1"></path>`;
+    }).join('');
+
+    // Highlighted lanes are drawn last so they sit on top
+    const arcs = [...mappedLanes].sort((a, b) => a.highlighted - b.highlighted).map(lane => {
+        const dx = lane.to.x - lane.from.x;
+        const dy = lane.to.y - lane.from.y;
+        // Bow each arc sideways by a fifth of its length so opposite directions don't overlap
+        const controlX = (lane.from.x + lane.to.x) / 2 + dy * 0.2;
+        const controlY = (lane.from.y + lane.to.y) / 2 - dx * 0.2;
+        const title = `${lane.lane}\n${lane.count} shipments · ${lane.onTimePct.toFixed(1)}% on time · ${Math.round(lane.totalEmissions).toLocaleString()} kg CO₂`;
+        return `
+            <path data-lane="${escapeHtml(lane.lane)}" d="M${lane.from.x.toFixed(1)},${lane.from.y.toFixed(1)} Q${controlX.toFixed(1)},${controlY.toFixed(1)} ${lane.to.x.toFixed(1)},${lane.to.y.toFixed(1)}"
+                fill="none" stroke="${getLaneMapColor(lane, maxEmissions)}" stroke-width="${(1 + (lane.count / maxCount) * 5).toFixed(1)}"
+                stroke-linecap="round" opacity="${lane.highlighted ? 0.85 : 0.12}" class="${lane.highlighted ? 'cursor-pointer' : 'pointer-events-none'}">
+                <title>${escapeHtml(title)}</title>
+            </path>
+        `;
+    }).join('');
+
+    const nodes = Object.values(ports).map(port => `
+        <circle cx="${port.point.x.toFixed(1)}" cy="${port.point.y.toFixed(1)}" r="${(2.5 + (port.count / maxPortCount) * 4).toFixed(1)}" fill="#1e3a8a" stroke="#ffffff" stroke-width="1">
+            <title>${escapeHtml(`${port.port}: ${port.count} shipments`)}</title>
+        </circle>
+    `).join('');
+
+    container.innerHTML = mappedLanes.length === 0 && lanes.length === 0
+        ? `
+            <div class="flex items-center justify-center h-64 text-gray-500">
+                <p>No lanes in this selection</p>
+            </div>
+        `
+        : `
+            <svg viewBox="0 0 ${LANE_MAP_WIDTH} ${LANE_MAP_HEIGHT}" class="w-full h-auto" role="img" aria-label="Lane map">
+                <rect width="${LANE_MAP_WIDTH}" height="${LANE_MAP_HEIGHT}" fill="#f8fafc"></rect>
+                ${outline}
+                ${arcs}
+                ${nodes}
+            </svg>
+        `;
+
+    // Dimmed lanes have no shipments for the selected carrier, so only highlighted lanes drill down
+    container.querySelectorAll('path[data-lane].cursor-pointer').forEach(path => {
+        path.addEventListener('click', () => drillDown('lane', toLaneFilter('port', path.dataset.lane)));
+    });
+
+    const gradient = laneMapSettings.colorBy === 'co2'
+        ? '<span>Low CO₂</span><span class="inline-block w-24 h-2 rounded" style="background: linear-gradient(to right, hsl(120, 70%, 45%), hsl(60, 70%, 45%), hsl(0, 70%, 45%))"></span><span>High CO₂</span>'
+        : '<span>0% on time</span><span class="inline-block w-24 h-2 rounded" style="background: linear-gradient(to right, hsl(0, 70%, 45%), hsl(60, 70%, 45%), hsl(120, 70%, 45%))"></span><span>100% on time</span>';
+    legend.innerHTML = `
+        <span class="flex items-center gap-2">${gradient}</span>
+        <span>Line width = shipment volume</span>
+        <span>${mappedLanes.length} of ${lanes.length} lanes mapped</span>
+        ${highlightCarrier ? `<span class="font-medium text-blue-700">Highlighting lanes served by ${escapeHtml(highlightCarrier)}</span>` : ''}
+    `;
+
+    unknownContainer.innerHTML = unknownPorts.size === 0 ? '' : `
+        <div class="p-3 bg-amber-50 border border-amber-200 rounded-lg text-xs text-amber-900">
+            <p class="font-medium mb-2">No coordinates for ${unknownPorts.size} port${unknownPorts.size === 1 ? '' : 's'}; their lanes are not drawn.</p>
+            <div class="flex flex-wrap gap-2">
+                ${Array.from(unknownPorts).sort().map(port => `
+                    <button data-add-port="${escapeHtml(port)}" class="bg-white hover:bg-amber-100 border border-amber-300 rounded-full px-3 py-1 font-medium">+ ${escapeHtml(port)}</button>
+                `).join('')}
+            </div>
+        </div>
+    `;
+    unknownContainer.querySelectorAll('button[data-add-port]').forEach(button => {
+        button.addEventListener('click', () => openPortCoordinatesDialog(button.dataset.addPort));
+    });
+
+    console.log('Lane map rendered:', { lanes: lanes.length, mapped: mappedLanes.length, unknownPorts: unknownPorts.size });
+}
+
+// Function to ask for a port's coordinates and add it to the manual lookup
+function openPortCoordinatesDialog(port) {
+    const inputClass = 'w-full bg-gray-50 border border-gray-300 rounded-lg px-3 py-2 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500';
+    const content = `
+        <div class="grid grid-cols-2 gap-3 mb-2">
+            <label class="text-sm text-gray-700">Latitude
+                <input id="port-lat" type="number" min="-90" max="90" step="0.01" placeholder="e.g. 51.95" class="${inputClass}">
+            </label>
+            <label class="text-sm text-gray-700">Longitude
+                <input id="port-lon" type="number" min="-180" max="180" step="0.01" placeholder="e.g. 4.14" class="${inputClass}">
+            </label>
+        </div>
+        <p id="port-error" class="hidden text-xs text-red-600">Enter a latitude between -90 and 90 and a longitude between -180 and 180.</p>
+    `;
+
+    const buttons = `
+        <button id="port-cancel" class="px-4 py-2 text-gray-600 hover:text-gray-900 text-sm font-medium transition-colors">
+            Cancel
+        </button>
+        <button id="port-save" class="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg text-sm font-medium transition-all duration-200">
+            Add Port
+        </button>
+    `;
+
+    const popup = createPopup(`Add coordinates for ${escapeHtml(port)}`, content, buttons);
+    const closeDialog = () => {
+        if (popup.parentNode) {
+            document.body.removeChild(popup);
+        }
+    };
+
+    popup.querySelector('#port-cancel').addEventListener('click', closeDialog);
+    popup.querySelector('#port-save').addEventListener('click', () => {
+        const lat = parseFloat(popup.querySelector('#port-lat').value);
+        const lon = parseFloat(popup.querySelector('#port-lon').value);
+        if (isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            popup.querySelector('#port-error').classList.remove('hidden');
+            return;
+        }
+        customPortCoordinates[String(port).trim().toLowerCase()] = [lat, lon];
+        saveSettings();
+        closeDialog();
+        renderLaneMap();
+    });
+}
+
+// Function to wire up the lane map colour toggle
+function setupLaneMap() {
+    document.querySelectorAll('#lane-map-color button[data-map-color]').forEach(button => {
+        button.addEventListener('click', () => {
+            laneMapSettings.colorBy = button.dataset.mapColor;
+            renderLaneMap();
+        });
+    });
+}
+
+// ---- Carrier scorecards ----
+// Scorecard metrics: label, value formatter and whether higher values are better
+const SCORECARD_METRICS = [
+    { key: 'onTimePct', label: 'On-time %', higherIsBetter: true, format: value => `${value.toFixed(1)}%` },
+    { key: 'avgDelay', label: 'Avg delay', higherIsBetter: false, format: value => `${value.toFixed(1)} d` },
+    { key: 'performanceScore', label: 'Performance score', higherIsBetter: true, format: value => value.toFixed(1) },
+    { key: 'costPerKm', label: 'Cost/km', higherIsBetter: false, format: value => `$${value.toFixed(2)}` },
+    { key: 'co2Intensity', label: 'g CO₂/t-km', higherIsBetter: false, format: value => value.toFixed(1) },
+    { key: 'docsCompletePct', label: 'Docs complete', higherIsBetter: true, format: value => `${value.toFixed(1)}%` },
+    { key: 'invoiceIssuePct', label: 'Invoice disputes', higherIsBetter: false, format: value => `${value.toFixed(1)}%` }
+];
+
+// Function to compute raw scorecard metrics per carrier
+function computeCarrierScorecardMetrics(rows) {
+    const carriers = {};
+    rows.forEach(row => {
+        const carrier = String(getCarrier(row));
+        (carriers[carrier] = carriers[carrier] || []).push(row);
+    });
+
+    return Object.entries(carriers).map(([name, carrierRows]) => {
+        const count = carrierRows.length;
+        const scores = carrierRows.map(getCarrierPerformanceScore).filter(value => !isEmptyCell(value)).map(num);
+        const docs = carrierRows.map(getCustomsDocsComplete).filter(value => value !== null);
+        const invoices = carrierRows.map(getInvoiceStatus).filter(Boolean);
+        let cost = 0;
+        let distance = 0;
+        let emissions = 0;
+        let tonneKm = 0;
+        carrierRows.forEach(row => {
+            const rowDistance = num(getDistance(row));
+            const weight = num(getWeight(row));
+            if (rowDistance > 0) {
+                cost += num(getCost(row));
+                distance += rowDistance;
+            }
+            if (rowDistance > 0 && weight > 0) {
+                emissions += calculateEmissions(row);
+                tonneKm += (weight / 1000) * rowDistance;
+            }
+        });
+
+        return {
+            name,
+            count,
+            rows: carrierRows,
+            onTimePct: (carrierRows.filter(row => getDelayDays(row) <= 0).length / count) * 100,
+            avgDelay: carrierRows.reduce((sum, row) => sum + getDelayDays(row), 0) / count,
+            performanceScore: scores.length > 0 ? scores.reduce((sum, value) => sum + value, 0) / scores.length : null,
+            costPerKm: distance > 0 ? cost / distance : null,
+            co2Intensity: tonneKm > 0 ? (emissions * 1000) / tonneKm : null,
+            docsCompletePct: docs.length > 0 ? (docs.filter(Boolean).length / docs.length) * 100 : null,
+            invoiceIssuePct: invoices.length > 0 ? (invoices.filter(status => status.toLowerCase() === 'disputed').length / invoices.length) * 100 : null
+        };
+    });
+}
+
+// Function to score carriers 0-100 per metric (min-max across carriers) and combine them with the weights
+// Metrics a carrier has no data for are left out of its composite rather than counted as zero
+function computeCarrierScorecards(rows) {
+    const carriers = computeCarrierScorecardMetrics(rows);
+
+    SCORECARD_METRICS.forEach(metric => {
+        const values = carriers.map(carrier => carrier[metric.key]).filter(value => value !== null);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        carriers.forEach(carrier => {
+            const value = carrier[metric.key];
+            carrier.scores = carrier.scores || {};
+            if (value === null) {
+                carrier.scores[metric.key] = null;
+                return;
+            }
+            // When every carrier ties (or there is only one) nobody is better or worse: score the middle
+            if (max === min) {
+                carrier.scores[metric.key] = 50;
+                return;
+            }
+            const position = (value - min) / (max - min);
+            carrier.scores[metric.key] = (metric.higherIsBetter ? position : 1 - position) * 100;
+        });
+    });
+
+    carriers.forEach(carrier => {
+        let weighted = 0;
+        let totalWeight = 0;
+        SCORECARD_METRICS.forEach(metric => {
+            const weight = num(scorecardWeights[metric.key]);
+            if (weight > 0 && carrier.scores[metric.key] !== null) {
+                weighted += carrier.scores[metric.key] * weight;
+                totalWeight += weight;
+            }
+        });
+        carrier.composite = totalWeight > 0 ? weighted / totalWeight : null;
+    });
+
+    return carriers.sort((a, b) => (b.composite ?? -1) - (a.composite ?? -1));
+}
+
+// Helper function to draw an inline SVG sparkline (gaps where a period has no value)
+function renderSparkline(values, { width = 90, height = 24, max = 100 } = {}) {
+    if (values.filter(value => value !== null).length < 2) {
+        return '<span class="text-gray-400">–</span>';
+    }
+    const step = width / (values.length - 1);
+    const segments = [];
+    let current = [];
+    values.forEach((value, index) => {
+        if (value === null) {
+            if (current.length > 0) {
+                segments.push(current);
+            }
+            current = [];
+            return;
+        }
+        current.push(`${(index * step).toFixed(1)},${(height - 2 - (value / max) * (height - 4)).toFixed(1)}`);
+    });
+    if (current.length > 0) {
+        segments.push(current);
+    }
+    return `
+        <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" class="inline-block align-middle">
+            ${segments.map(points => points.length === 1
+                ? `<circle cx="${points[0].split(',')[0]}" cy="${points[0].split(',')[1]}" r="1.5" fill="#1e3a8a"></circle>`
+                : `<polyline points="${points.join(' ')}" fill="none" stroke="#1e3a8a" stroke-width="1.5"></polyline>`
+            ).join('')}
+        </svg>
+    `;
+}
+
+// Function to render the scorecard weight inputs
+function renderScorecardWeights() {
+    const container = document.getElementById('scorecard-weights');
+    if (!container) {
+        return;
+    }
+    container.innerHTML = SCORECARD_METRICS.map(metric => `
+        <label class="text-xs text-gray-700">
+            <span class="flex justify-between mb-1"><span>${metric.label}</span><span data-weight-value="${metric.key}" class="font-medium text-gray-900">${scorecardWeights[metric.key]}</span></span>
+            <input data-weight="${metric.key}" type="range" min="0" max="50" step="1" value="${scorecardWeights[metric.key]}" class="w-full">
+        </label>
+    `).join('') + `
+        <div class="flex items-end">
+            <button id="scorecard-weights-reset" class="text-xs text-blue-600 hover:text-blue-800 font-medium">Reset weights</button>
+        </div>
+    `;
+
+    container.querySelectorAll('input[data-weight]').forEach(input => {
+        input.addEventListener('input', () => {
+            scorecardWeights[input.dataset.weight] = parseInt(input.value, 10) || 0;
+            container.querySelector(`[data-weight-value="${input.dataset.weight}"]`).textContent = input.value;
+            renderCarrierScorecards(filteredRows);
+        });
+        input.addEventListener('change', saveSettings);
+    });
+    container.querySelector('#scorecard-weights-reset').addEventListener('click', () => {
+        Object.assign(scorecardWeights, DEFAULT_SCORECARD_WEIGHTS);
+        saveSettings();
+        renderScorecardWeights();
+        renderCarrierScorecards(filteredRows);
+    });
+}
+
+// Function to render the ranked scorecard table
+function renderCarrierScorecards(rows) {
+    const container = document.getElementById('scorecard-table');
+    if (!container) {
+        console.error('Scorecard container not found');
+        return;
+    }
+
+    const carriers = computeCarrierScorecards(rows || []);
+    if (carriers.length === 0) {
+        container.innerHTML = '<p class="text-sm text-gray-500">No carriers in this selection</p>';
+        fillCarrierCompareSelects([]);
+        renderCarrierComparison([]);
+        return;
+    }
+
+    // Sparklines share the time axis of the whole selection so carriers line up
+    const periods = computeTrendSeries(rows, 'month');
+    const periodIndex = Object.fromEntries(periods.map((period, index) => [period.key, index]));
+
+    container.innerHTML = `
+        <table class="min-w-full text-xs">
+            <thead>
+                <tr class="text-gray-700">
+                    <th class="text-left py-2 pr-3">#</th>
+                    <th class="text-left py-2 pr-3">Carrier</th>
+                    <th class="text-right py-2 pr-3">Score</th>
+                    <th class="text-right py-2 pr-3">n</th>
+                    ${SCORECARD_METRICS.map(metric => `<th class="text-right py-2 pr-3 whitespace-nowrap">${metric.label}</th>`).join('')}
+                    <th class="text-left py-2">On-time by month</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${carriers.map((carrier, index) => {
+                    const sparkValues = periods.map(() => null);
+                    computeTrendSeries(carrier.rows, 'month').forEach(period => {
+                        if (period.count > 0 && periodIndex[period.key] !== undefined) {
+                            sparkValues[periodIndex[period.key]] = (period.onTime / period.count) * 100;
+                        }
+                    });
+                    return `
+                        <tr class="border-t border-gray-200">
+                            <td class="py-1 pr-3 text-gray-500">${index + 1}</td>
+                            <td class="py-1 pr-3 whitespace-nowrap">
+                                <button data-scorecard-carrier="${escapeHtml(carrier.name)}" class="text-blue-600 hover:text-blue-800 hover:underline font-medium">${escapeHtml(carrier.name)}</button>
+                                ${carrier.count < MIN_CARRIER_SHIPMENTS ? '<span class="ml-1 text-[10px] font-medium text-amber-700 bg-amber-50 border border-amber-200 rounded px-1" title="Few shipments; treat the score with care">low n</span>' : ''}
+                            </td>
+                            <td class="py-1 pr-3 text-right font-bold text-gray-900">${carrier.composite === null ? 'n/a' : carrier.composite.toFixed(0)}</td>
+                            <td class="py-1 pr-3 text-right text-gray-900">${carrier.count}</td>
+                            ${SCORECARD_METRICS.map(metric => {
+                                const value = carrier[metric.key];
+                                return `<td class="py-1 pr-3 text-right text-gray-900" title="Score ${carrier.scores[metric.key] === null ? 'n/a' : carrier.scores[metric.key].toFixed(0)}">${value === null ? 'n/a' : metric.format(value)}</td>`;
+                            }).join('')}
+                            <td class="py-1">${renderSparkline(sparkValues)}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+
+    container.querySelectorAll('button[data-scorecard-carrier]').forEach(button => {
+        button.addEventListener('click', () => drillDown('carrier', button.dataset.scorecardCarrier));
+    });
+
+    fillCarrierCompareSelects(carriers);
+    renderCarrierComparison(carriers);
+
+    console.log('Carrier scorecards rendered:', carriers.map(carrier => ({ name: carrier.name, composite: carrier.composite })));
+}
+
+// Function to fill the comparison selects, defaulting to the top two carriers
+function fillCarrierCompareSelects(carriers) {
+    const names = carriers.map(carrier => carrier.name);
+    ['scorecard-compare-a', 'scorecard-compare-b'].forEach((id, index) => {
+        const select = document.getElementById(id);
+        if (!select) {
+            return;
+        }
+        const current = select.value;
+        select.innerHTML = names.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+        select.value = names.includes(current) ? current : (names[index] || names[0] || '');
+    });
+}
+
+// Function to render the side-by-side comparison of two carriers
+function renderCarrierComparison(carriers) {
+    const container = document.getElementById('scorecard-compare-table');
+    if (!container) {
+        return;
+    }
+
+    const first = carriers.find(carrier => carrier.name === document.getElementById('scorecard-compare-a').value);
+    const second = carriers.find(carrier => carrier.name === document.getElementById('scorecard-compare-b').value);
+    if (!first || !second) {
+        container.innerHTML = '';
+        clearChart('carrier-compare', 'Pick two carriers to compare');
+        return;
+    }
+
+    const compareRow = (label, valueA, valueB, scoreA, scoreB) => {
+        const better = scoreA === null || scoreB === null || scoreA === scoreB ? null : (scoreA > scoreB ? 'a' : 'b');
+        return `
+            <tr class="border-t border-gray-200">
+                <td class="py-1 pr-3 text-gray-700">${label}</td>
+                <td class="py-1 pr-3 text-right ${better === 'a' ? 'font-bold text-green-700' : 'text-gray-900'}">${valueA}</td>
+                <td class="py-1 text-right ${better === 'b' ? 'font-bold text-green-700' : 'text-gray-900'}">${valueB}</td>
+            </tr>
+        `;
+    };
+
+    container.innerHTML = `
+        <table class="min-w-full text-xs">
+            <thead>
+                <tr class="text-gray-700">
+                    <th class="text-left py-1 pr-3">Metric</th>
+                    <th class="text-right py-1 pr-3">${escapeHtml(first.name)}</th>
+                    <th class="text-right py-1">${escapeHtml(second.name)}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${compareRow('Composite score', first.composite === null ? 'n/a' : first.composite.toFixed(0), second.composite === null ? 'n/a' : second.composite.toFixed(0), first.composite, second.composite)}
+                ${compareRow('Shipments', first.count, second.count, null, null)}
+                ${SCORECARD_METRICS.map(metric => compareRow(
+                    metric.label,
+                    first[metric.key] === null ? 'n/a' : metric.format(first[metric.key]),
+                    second[metric.key] === null ? 'n/a' : metric.format(second[metric.key]),
+                    first.scores[metric.key],
+                    second.scores[metric.key]
+                )).join('')}
+            </tbody>
+        </table>
+    `;
+
+    createChartBase('carrier-compare', 'radar', {
+        labels: SCORECARD_METRICS.map(metric => metric.label),
+        datasets: [first, second].map((carrier, index) => ({
+            label: carrier.name,
+            data: SCORECARD_METRICS.map(metric => carrier.scores[metric.key] === null ? null : Math.round(carrier.scores[metric.key])),
+            backgroundColor: index === 0 ? 'rgba(30, 58, 138, 0.2)' : 'rgba(220, 38, 38, 0.2)',
+            borderColor: index === 0 ? 'rgba(30, 58, 138, 1)' : 'rgba(220, 38, 38, 1)',
+            borderWidth: 2,
+            pointRadius: 2
+        }))
+    }, {
+        plugins: {
+            legend: {
+                display: true,
+                position: 'bottom',
+                labels: {
+                    color: 'rgba(55, 65, 81, 0.8)',
+                    boxWidth: 12
+                }
+            }
+        },
+        scales: {
+            r: {
+                min: 0,
+                max: 100,
+                ticks: {
+                    display: false
+                },
+                pointLabels: {
+                    color: 'rgba(55, 65, 81, 0.8)',
+                    font: {
+                        size: 10
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Function to wire up the scorecard weight editor and comparison selects
+function setupCarrierScorecards() {
+    renderScorecardWeights();
+
+    const toggle = document.getElementById('scorecard-weights-toggle');
+    if (toggle) {
+        toggle.addEventListener('click', () => {
+            const hidden = document.getElementById('scorecard-weights').classList.toggle('hidden');
+            toggle.textContent = hidden ? 'Adjust weights' : 'Hide weights';
+        });
+    }
+
+    ['scorecard-compare-a', 'scorecard-compare-b'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) {
+            select.addEventListener('change', () => renderCarrierComparison(computeCarrierScorecards(filteredRows)));
+        }
+    });
+}
+
+// ---- Compliance ----
+// Helper function to get how many days after the shipment date the documents came in (null if unknown)
+function getDocsLeadDays(row) {
+    const submitted = getDocsSubmittedDate(row);
+    const shipped = getShipmentDate(row);
+    if (!submitted || !shipped) {
+        return null;
+    }
+    return submitted.startOf('day').diff(shipped.startOf('day'), 'day');
+}
+
+// Helper function to describe document timing relative to the shipment date
+function formatDocsLeadTime(daysAfterShipment) {
+    if (daysAfterShipment === null) {
+        return '-';
+    }
+    if (daysAfterShipment > 0) {
+        return `<span class="text-red-600">${daysAfterShipment} d after shipment (late)</span>`;
+    }
+    return daysAfterShipment === 0 ? 'On shipment date' : `${-daysAfterShipment} d before shipment`;
+}
+
+// Function to compute documentation stats for a set of rows
+function computeComplianceStats(rows) {
+    const docsKnown = rows.filter(row => getCustomsDocsComplete(row) !== null);
+    const incomplete = docsKnown.filter(row => getCustomsDocsComplete(row) === false);
+    const timed = rows.map(getDocsLeadDays).filter(days => days !== null);
+    const late = timed.filter(days => days > 0);
+
+    return {
+        count: rows.length,
+        docsKnown: docsKnown.length,
+        incomplete: incomplete.length,
+        incompletePct: docsKnown.length > 0 ? (incomplete.length / docsKnown.length) * 100 : null,
+        timed: timed.length,
+        late: late.length,
+        latePct: timed.length > 0 ? (late.length / timed.length) * 100 : null,
+        avgDaysLate: late.length > 0 ? late.reduce((sum, days) => sum + days, 0) / late.length : 0,
+        sanctionHits: rows.filter(getSanctionHit).length
+    };
+}
+
+// Function to render the sanction alert; it covers the whole dataset so filters can't hide a hit
+function renderSanctionAlert() {
+    const container = document.getElementById('sanction-alert');
+    if (!container) {
+        return;
+    }
+
+    const hits = loadedRows.filter(getSanctionHit);
+    if (hits.length === 0) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <div role="alert" class="p-4 bg-red-50 border-2 border-red-500 rounded-xl shadow-lg">
+            <div class="flex items-start">
+                <svg class="w-6 h-6 text-red-600 flex-shrink-0 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01M10.29 3.86L1.82 18a2 2 0 001.71 3h16.94a2 2 0 001.71-3L13.71 3.86a2 2 0 00-3.42 0z"></path>
+                </svg>
+                <div>
+                    <p class="text-sm font-bold text-red-800">Sanction check hit on ${hits.length} shipment${hits.length === 1 ? '' : 's'}: do not release until compliance has cleared ${hits.length === 1 ? 'it' : 'them'}.</p>
+                    <div class="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-sm text-red-900">
+                        ${hits.map(row => `<span>${shipmentLink(getShipmentId(row))} · ${escapeHtml(getCarrier(row))} · ${escapeHtml(getLaneLabel(row))}</span>`).join('')}
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    container.classList.remove('hidden');
+}
+
+// Function to render the compliance section
+function renderCompliance(rows) {
+    const summary = document.getElementById('compliance-summary');
+    const breakdown = document.getElementById('compliance-breakdown');
+    const delayContainer = document.getElementById('compliance-delay');
+    if (!summary || !breakdown || !delayContainer) {
+        console.error('Compliance containers not found');
+        return;
+    }
+
+    rows = rows || [];
+    if (rows.length === 0) {
+        summary.innerHTML = '<p class="col-span-full text-sm text-gray-500">No shipments in this selection</p>';
+        breakdown.innerHTML = '';
+        delayContainer.innerHTML = '';
+        return;
+    }
+
+    const stats = computeComplianceStats(rows);
+    const statCard = (label, value, hint, alert) => `
+        <div class="p-3 border rounded-lg ${alert ? 'bg-red-50 border-red-200' : 'bg-gray-50 border-gray-200'}" ${hint ? `title="${escapeHtml(hint)}"` : ''}>
+            <p class="text-xs font-medium text-gray-600">${label}</p>
+            <p class="text-lg font-bold ${alert ? 'text-red-700' : 'text-gray-900'}">${value}</p>
+        </div>
+    `;
+    summary.innerHTML = [
+        statCard('Docs incomplete', stats.incompletePct === null ? 'n/a' : `${stats.incompletePct.toFixed(1)}%`, `${stats.incomplete} of ${stats.docsKnown} shipments with a customs_docs_complete value`),
+        statCard('Docs submitted late', stats.latePct === null ? 'n/a' : `${stats.latePct.toFixed(1)}%`, `${stats.late} of ${stats.timed} shipments had documents submitted after the shipment date`),
+        statCard('Avg days late', stats.late > 0 ? `${stats.avgDaysLate.toFixed(1)} d` : '-', 'Average over shipments with late documents'),
+        statCard('Sanction hits', stats.sanctionHits, 'Shipments with sanction_check_flag set', stats.sanctionHits > 0)
+    ].join('');
+
+    // Breakdown by the selected dimension, worst incomplete share first
+    const groupSelect = document.getElementById('compliance-group');
+    const groupBy = groupSelect ? groupSelect.value : 'carrier';
+    const getGroup = { carrier: getCarrier, lane: getLaneLabel, commodity: getCommodity }[groupBy] || getCarrier;
+    const groups = {};
+    rows.forEach(row => {
+        const name = String(getGroup(row));
+        (groups[name] = groups[name] || []).push(row);
+    });
+    const groupStats = Object.entries(groups)
+        .map(([name, groupRows]) => ({ name, ...computeComplianceStats(groupRows) }))
+        .sort((a, b) => (b.incompletePct ?? -1) - (a.incompletePct ?? -1) || b.count - a.count);
+
+    breakdown.innerHTML = `
+        <table class="min-w-full text-xs">
+            <thead class="sticky top-0 bg-white">
+                <tr class="text-gray-700">
+                    <th class="text-left py-1 pr-2">${escapeHtml(groupSelect ? groupSelect.options[groupSelect.selectedIndex].text : 'Carrier')}</th>
+                    <th class="text-right py-1 pr-2">n</th>
+                    <th class="text-left py-1 pr-2 w-1/3">Docs incomplete</th>
+                    <th class="text-right py-1 pr-2">Late docs</th>
+                    <th class="text-right py-1">Sanction</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${groupStats.map(group => `
+                    <tr class="border-t border-gray-200">
+                        <td class="py-1 pr-2 text-gray-900 whitespace-nowrap">${escapeHtml(group.name)}</td>
+                        <td class="py-1 pr-2 text-right text-gray-900">${group.count}</td>
+                        <td class="py-1 pr-2">
+                            <div class="flex items-center gap-2">
+                                <div class="flex-1 h-2 bg-gray-100 rounded">
+                                    <div class="h-2 bg-red-500 rounded" style="width: ${(group.incompletePct || 0).toFixed(1)}%"></div>
+                                </div>
+                                <span class="w-12 text-right text-gray-900">${group.incompletePct === null ? 'n/a' : `${group.incompletePct.toFixed(1)}%`}</span>
+                            </div>
+                        </td>
+                        <td class="py-1 pr-2 text-right text-gray-900">${group.late}</td>
+                        <td class="py-1 text-right ${group.sanctionHits > 0 ? 'font-bold text-red-700' : 'text-gray-400'}">${group.sanctionHits || '·'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    // Delay outcomes for complete vs incomplete documents
+    const outcome = (label, outcomeRows) => {
+        const count = outcomeRows.length;
+        const lateRows = outcomeRows.filter(row => getDelayDays(row) > 0);
+        const customsHolds = lateRows.filter(row => /customs/i.test(String(getDelayReason(row)))).length;
+        return `
+            <tr class="border-t border-gray-200">
+                <td class="py-1 pr-2 text-gray-900">${label}</td>
+                <td class="py-1 pr-2 text-right text-gray-900">${count}</td>
+                <td class="py-1 pr-2 text-right text-gray-900">${count > 0 ? `${((lateRows.length / count) * 100).toFixed(1)}%` : '-'}</td>
+                <td class="py-1 pr-2 text-right text-gray-900">${count > 0 ? `${(outcomeRows.reduce((sum, row) => sum + getDelayDays(row), 0) / count).toFixed(2)} d` : '-'}</td>
+                <td class="py-1 text-right text-gray-900">${customsHolds}</td>
+            </tr>
+        `;
+    };
+    const completeRows = rows.filter(row => getCustomsDocsComplete(row) === true);
+    const incompleteRows = rows.filter(row => getCustomsDocsComplete(row) === false);
+    const lateDocRows = rows.filter(row => getDocsLeadDays(row) > 0);
+    delayContainer.innerHTML = `
+        <table class="min-w-full text-xs">
+            <thead>
+                <tr class="text-gray-700">
+                    <th class="text-left py-1 pr-2">Documents</th>
+                    <th class="text-right py-1 pr-2">n</th>
+                    <th class="text-right py-1 pr-2">Late</th>
+                    <th class="text-right py-1 pr-2">Avg delay</th>
+                    <th class="text-right py-1">Customs-related delays</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${outcome('Complete', completeRows)}
+                ${outcome('Incomplete', incompleteRows)}
+                ${outcome('Submitted after shipment', lateDocRows)}
+            </tbody>
+        </table>
+        ${incompleteRows.length > 0 && completeRows.length > 0 ? `
+            <p class="text-xs text-gray-600 mt-2">Shipments with incomplete documents average ${(incompleteRows.reduce((sum, row) => sum + getDelayDays(row), 0) / incompleteRows.length).toFixed(2)} delay days vs ${(completeRows.reduce((sum, row) => sum + getDelayDays(row), 0) / completeRows.length).toFixed(2)} with complete documents.</p>
+        ` : ''}
+    `;
+
+    console.log('Compliance rendered:', stats);
+}
+
+// ---- Invoices & payments ----
+// Aging buckets for outstanding invoices (days since delivery)
+const AGING_BUCKETS = [
+    { label: 'Not yet delivered', test: days => days < 0 },
+    { label: '0-30 days', test: days => days >= 0 && days <= 30 },
+    { label: '31-60 days', test: days => days > 30 && days <= 60 },
+    { label: '60+ days', test: days => days > 60 }
+];
+
+// Invoice statuses that still need paying
+const OUTSTANDING_STATUSES = ['pending', 'disputed'];
+
+// Helper function to format a USD amount without cents
+function formatUsd(amount) {
+    return `$${Math.round(amount).toLocaleString()}`;
+}
+
+// Helper function to get the aging reference date
+function getFinanceAsOfDate() {
+    return financeSettings.asOfDate ? dayjs(financeSettings.asOfDate) : dayjs().startOf('day');
+}
+
+// Function to summarize invoices: totals per status, days-to-pay and aging of what is still open
+// The invoice amount is cost_usd (surcharges are part of the cost, as in the anomaly checks)
+function computeFinanceStats(rows) {
+    const asOf = getFinanceAsOfDate();
+    const byStatus = {};
+    const daysToPay = [];
+    const aging = AGING_BUCKETS.map(bucket => ({ label: bucket.label, count: 0, amount: 0 }));
+    const overdue = [];
+
+    rows.forEach(row => {
+        const status = getInvoiceStatus(row) || 'Unknown';
+        const amount = getCost(row);
+        byStatus[status] = byStatus[status] || { status, count: 0, amount: 0 };
+        byStatus[status].count += 1;
+        byStatus[status].amount += amount;
+
+        const delivered = getActualDeliveryDate(row);
+        const paid = getPaymentDate(row);
+        if (paid && delivered) {
+            daysToPay.push(paid.startOf('day').diff(delivered.startOf('day'), 'day'));
+        }
+
+        if (OUTSTANDING_STATUSES.includes(status.toLowerCase()) && delivered) {
+            const age = asOf.diff(delivered.startOf('day'), 'day');
+            const bucketIndex = AGING_BUCKETS.findIndex(bucket => bucket.test(age));
+            aging[bucketIndex].count += 1;
+            aging[bucketIndex].amount += amount;
+            if (status.toLowerCase() === 'pending' && age > financeSettings.paymentSlaDays) {
+                overdue.push({ row, age, amount, pastSla: age - financeSettings.paymentSlaDays });
+            }
+        }
+    });
+
+    return {
+        byStatus,
+        daysToPay,
+        avgDaysToPay: daysToPay.length > 0 ? daysToPay.reduce((sum, days) => sum + days, 0) / daysToPay.length : null,
+        aging,
+        overdue: overdue.sort((a, b) => b.age - a.age),
+        totalCost: rows.reduce((sum, row) => sum + getCost(row), 0),
+        declaredValue: rows.reduce((sum, row) => sum + getDeclaredValue(row), 0)
+    };
+}
+
+// Function to compute surcharge totals and share of cost per carrier
+function computeSurchargeShareByCarrier(rows) {
+    const carriers = {};
+    rows.forEach(row => {
+        const carrier = String(getCarrier(row));
+        carriers[carrier] = carriers[carrier] || { name: carrier, surcharge: 0, cost: 0 };
+        carriers[carrier].surcharge += getSurcharge(row);
+        carriers[carrier].cost += getCost(row);
+    });
+    return Object.values(carriers)
+        .map(carrier => ({ ...carrier, share: carrier.cost > 0 ? (carrier.surcharge / carrier.cost) * 100 : 0 }))
+        .sort((a, b) => b.share - a.share);
+}
+
+// Function to render the invoice and payment reconciliation section
+function renderFinance(rows) {
+    const summary = document.getElementById('finance-summary');
+    const agingContainer = document.getElementById('finance-aging');
+    const overdueContainer = document.getElementById('finance-overdue');
+    if (!summary || !agingContainer || !overdueContainer) {
+        console.error('Finance containers not found');
+        return;
+    }
+
+    const slaInput = document.getElementById('finance-sla');
+    if (slaInput && document.activeElement !== slaInput) {
+        slaInput.value = financeSettings.paymentSlaDays;
+    }
+    const asOfInput = document.getElementById('finance-as-of');
+    if (asOfInput) {
+        asOfInput.value = getFinanceAsOfDate().format('YYYY-MM-DD');
+    }
+
+    rows = rows || [];
+    if (rows.length === 0) {
+        summary.innerHTML = '<p class="col-span-full text-sm text-gray-500">No shipments in this selection</p>';
+        agingContainer.innerHTML = '';
+        overdueContainer.innerHTML = '';
+        clearChart('finance-surcharge', 'No shipments in this selection');
+        return;
+    }
+
+    const stats = computeFinanceStats(rows);
+    const statusTotal = status => Object.values(stats.byStatus)
+        .filter(entry => entry.status.toLowerCase() === status)
+        .reduce((total, entry) => ({ count: total.count + entry.count, amount: total.amount + entry.amount }), { count: 0, amount: 0 });
+    const pending = statusTotal('pending');
+    const disputed = statusTotal('disputed');
+    const paid = statusTotal('paid');
+    const statCard = (label, value, detail, tone) => `
+        <div class="p-3 border rounded-lg ${tone === 'alert' ? 'bg-red-50 border-red-200' : 'bg-gray-50 border-gray-200'}">
+            <p class="text-xs font-medium text-gray-600">${label}</p>
+            <p class="text-lg font-bold ${tone === 'alert' ? 'text-red-700' : 'text-gray-900'}">${value}</p>
+            <p class="text-xs text-gray-500">${detail}</p>
+        </div>
+    `;
+    summary.innerHTML = [
+        statCard('Outstanding', formatUsd(pending.amount + disputed.amount), `${pending.count + disputed.count} invoices (pending + disputed)`),
+        statCard('Paid', formatUsd(paid.amount), `${paid.count} invoices`),
+        statCard('Disputed', formatUsd(disputed.amount), `${disputed.count} invoices`, disputed.count > 0 ? 'alert' : ''),
+        statCard('Avg days to pay', stats.avgDaysToPay === null ? 'n/a' : `${stats.avgDaysToPay.toFixed(1)} d`, `from delivery, ${stats.daysToPay.length} paid invoices`),
+        statCard('Freight vs declared value', stats.declaredValue > 0 ? `${((stats.totalCost / stats.declaredValue) * 100).toFixed(1)}%` : 'n/a', `${formatUsd(stats.totalCost)} of ${formatUsd(stats.declaredValue)}`)
+    ].join('');
+
+    const agingTotal = stats.aging.reduce((sum, bucket) => sum + bucket.amount, 0);
+    agingContainer.innerHTML = `
+        <table class="min-w-full text-xs">
+            <thead>
+                <tr class="text-gray-700">
+                    <th class="text-left py-1 pr-2">Bucket</th>
+                    <th class="text-right py-1 pr-2">Invoices</th>
+                    <th class="text-right py-1 pr-2">Amount</th>
+                    <th class="text-left py-1 w-1/3">Share</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${stats.aging.map((bucket, index) => `
+                    <tr class="border-t border-gray-200">
+                        <td class="py-1 pr-2 text-gray-900">${bucket.label}</td>
+                        <td class="py-1 pr-2 text-right text-gray-900">${bucket.count}</td>
+                        <td class="py-1 pr-2 text-right text-gray-900 font-medium">${formatUsd(bucket.amount)}</td>
+                        <td class="py-1">
+                            <div class="h-2 bg-gray-100 rounded">
+                                <div class="h-2 rounded ${index === AGING_BUCKETS.length - 1 ? 'bg-red-500' : 'bg-blue-600'}" style="width: ${agingTotal > 0 ? ((bucket.amount / agingTotal) * 100).toFixed(1) : 0}%"></div>
+                            </div>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <p class="text-xs text-gray-500 mt-2">Pending and disputed invoices, aged from delivery (ETA + delay) to ${getFinanceAsOfDate().format('YYYY-MM-DD')}.</p>
+    `;
+
+    overdueContainer.innerHTML = stats.overdue.length === 0
+        ? `<p class="text-sm text-gray-500">No pending invoices past the ${financeSettings.paymentSlaDays}-day SLA.</p>`
+        : `
+            <p class="text-xs text-gray-600 mb-2">${stats.overdue.length} pending invoice${stats.overdue.length === 1 ? '' : 's'} worth ${formatUsd(stats.overdue.reduce((sum, item) => sum + item.amount, 0))} past the ${financeSettings.paymentSlaDays}-day SLA.</p>
+            <table class="min-w-full text-xs">
+                <thead class="sticky top-0 bg-white">
+                    <tr class="text-gray-700">
+                        <th class="text-left py-1 pr-2">ID</th>
+                        <th class="text-left py-1 pr-2">Carrier</th>
+                        <th class="text-left py-1 pr-2">Customer</th>
+                        <th class="text-left py-1 pr-2">Delivered</th>
+                        <th class="text-right py-1 pr-2">Amount</th>
+                        <th class="text-right py-1 pr-2">Days open</th>
+                        <th class="text-right py-1">Past SLA</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${stats.overdue.map(item => `
+                        <tr class="border-t border-gray-200">
+                            <td class="py-1 pr-2 text-gray-900">${shipmentLink(getShipmentId(item.row))}</td>
+                            <td class="py-1 pr-2 text-gray-900">${escapeHtml(getCarrier(item.row))}</td>
+                            <td class="py-1 pr-2 text-gray-900">${escapeHtml(getCustomerId(item.row))}</td>
+                            <td class="py-1 pr-2 text-gray-900">${getActualDeliveryDate(item.row).format('YYYY-MM-DD')}</td>
+                            <td class="py-1 pr-2 text-right text-gray-900">${formatUsd(item.amount)}</td>
+                            <td class="py-1 pr-2 text-right text-gray-900">${item.age}</td>
+                            <td class="py-1 text-right font-medium text-red-600">+${item.pastSla} d</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+    const surchargeShares = computeSurchargeShareByCarrier(rows);
+    createChartBase('finance-surcharge', 'bar', {
+        labels: surchargeShares.map(carrier => carrier.name),
+        datasets: [{
+            label: 'Surcharge share of cost (%)',
+            data: surchargeShares.map(carrier => Math.round(carrier.share * 10) / 10),
+            backgroundColor: 'rgba(30, 58, 138, 0.8)',
+            borderColor: 'rgba(30, 58, 138, 1)',
+            borderWidth: 2
+        }]
+    }, {
+        ...drillDownOptions(index => drillDown('carrier', surchargeShares[index].name)),
+        plugins: {
+            tooltip: {
+                callbacks: {
+                    label: function(context) {
+                        const carrier = surchargeShares[context.dataIndex];
+                        return `${carrier.share.toFixed(1)}% · ${formatUsd(carrier.surcharge)} of ${formatUsd(carrier.cost)}`;
+                    }
+                }
+            }
+        },
+        scales: {
+            y: {
+                beginAtZero: true,
+                ticks: {
+                    color: 'rgba(55, 65, 81, 0.7)',
+                    callback: function(value) {
+                        return value + '%';
+                    }
+                },
+                grid: {
+                    color: 'rgba(55, 65, 81, 0.1)'
+                }
+            },
+            x: {
+                ticks: {
+                    color: 'rgba(55, 65, 81, 0.7)'
+                },
+                grid: {
+                    color: 'rgba(55, 65, 81, 0.1)'
+                }
+            }
+        }
+    });
+
+    console.log('Finance rendered:', { statuses: Object.keys(stats.byStatus), overdue: stats.overdue.length, avgDaysToPay: stats.avgDaysToPay });
+}
+
+// Function to wire up the payment SLA and aging date inputs
+function setupFinance() {
+    const slaInput = document.getElementById('finance-sla');
+    if (slaInput) {
+        slaInput.addEventListener('change', () => {
+            const sla = parseInt(slaInput.value, 10);
+            financeSettings.paymentSlaDays = isNaN(sla) || sla < 0 ? 30 : sla;
+            saveSettings();
+            renderFinance(filteredRows);
+        });
+    }
+
+    const asOfInput = document.getElementById('finance-as-of');
+    if (asOfInput) {
+        asOfInput.addEventListener('change', () => {
+            // Clearing the date goes back to "today"
+            financeSettings.asOfDate = asOfInput.value;
+            saveSettings();
+            renderFinance(filteredRows);
+        });
+    }
+}
+
+// ---- Customers & segments ----
+// Risk level -> bar colour in the risk mix
+const RISK_MIX_COLORS = {
+    Low: 'bg-green-500',
+    Medium: 'bg-yellow-400',
+    High: 'bg-orange-500',
+    Critical: 'bg-red-600'
+};
+
+// Customer whose shipment history is shown (kept while it is still in the selection)
+let selectedCustomerId = '';
+
+// Function to compute service stats for a group of shipments
+function computeServiceStats(rows) {
+    const count = rows.length;
+    const riskMix = {};
+    rows.forEach(row => {
+        const risk = getRiskLevel(row);
+        riskMix[risk] = (riskMix[risk] || 0) + 1;
+    });
+    const delays = rows.map(getDelayDays);
+    return {
+        count,
+        lateCount: delays.filter(days => days > 0).length,
+        onTimePct: count > 0 ? (delays.filter(days => days <= 0).length / count) * 100 : 0,
+        avgDelay: count > 0 ? delays.reduce((sum, days) => sum + days, 0) / count : 0,
+        totalDelayDays: delays.reduce((sum, days) => sum + Math.max(days, 0), 0),
+        cost: rows.reduce((sum, row) => sum + getCost(row), 0),
+        emissions: rows.reduce((sum, row) => sum + calculateEmissions(row), 0),
+        riskMix
+    };
+}
+
+// Function to compute service stats per group (segment or customer)
+function computeServiceStatsBy(rows, getter) {
+    const groups = {};
+    rows.forEach(row => {
+        const name = String(getter(row) || 'Unknown');
+        (groups[name] = groups[name] || []).push(row);
+    });
+    return Object.entries(groups).map(([name, groupRows]) => ({ name, rows: groupRows, ...computeServiceStats(groupRows) }));
+}
+
+// Helper function to draw a risk mix as a stacked bar
+function renderRiskMix(riskMix, count) {
+    const levels = [...RISK_LEVEL_ORDER, ...Object.keys(riskMix).filter(level => !RISK_LEVEL_ORDER.includes(level))];
+    const title = levels.filter(level => riskMix[level]).map(level => `${level}: ${riskMix[level]}`).join(', ');
+    return `
+        <div class="flex h-2 w-32 rounded overflow-hidden bg-gray-100" title="${escapeHtml(title)}">
+            ${levels.filter(level => riskMix[level]).map(level => `
+                <div class="${RISK_MIX_COLORS[level] || 'bg-gray-400'}" style="width: ${((riskMix[level] / count) * 100).toFixed(1)}%"></div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Helper function to render the shared service-stat cells of a customer or segment row
+function renderServiceCells(stats) {
+    return `
+        <td class="py-1 pr-3 text-right text-gray-900">${stats.count}</td>
+        <td class="py-1 pr-3 text-right text-gray-900">${stats.onTimePct.toFixed(1)}%</td>
+        <td class="py-1 pr-3 text-right text-gray-900">${stats.avgDelay.toFixed(1)} d</td>
+        <td class="py-1 pr-3 text-right text-gray-900">${formatUsd(stats.cost)}</td>
+        <td class="py-1 pr-3 text-right text-gray-900">${Math.round(stats.emissions).toLocaleString()} kg</td>
+        <td class="py-1">${renderRiskMix(stats.riskMix, stats.count)}</td>
+    `;
+}
+
+// Function to render the customer & segment section
+function renderCustomers(rows) {
+    const segmentsContainer = document.getElementById('customer-segments');
+    const topContainer = document.getElementById('customer-top');
+    if (!segmentsContainer || !topContainer) {
+        console.error('Customer containers not found');
+        return;
+    }
+
+    rows = rows || [];
+    if (rows.length === 0) {
+        segmentsContainer.innerHTML = '<p class="text-sm text-gray-500">No shipments in this selection</p>';
+        topContainer.innerHTML = '';
+        renderCustomerHistory(rows);
+        return;
+    }
+
+    const serviceHeaders = `
+        <th class="text-right py-1 pr-3">n</th>
+        <th class="text-right py-1 pr-3">On-time</th>
+        <th class="text-right py-1 pr-3">Avg delay</th>
+        <th class="text-right py-1 pr-3">Cost</th>
+        <th class="text-right py-1 pr-3">CO₂</th>
+        <th class="text-left py-1">Risk mix</th>
+    `;
+
+    const segments = computeServiceStatsBy(rows, getCustomerSegment).sort((a, b) => b.count - a.count);
+    segmentsContainer.innerHTML = `
+        <table class="min-w-full text-xs">
+            <thead>
+                <tr class="text-gray-700">
+                    <th class="text-left py-1 pr-3">Segment</th>
+                    ${serviceHeaders}
+                </tr>
+            </thead>
+            <tbody>
+                ${segments.map(segment => `
+                    <tr class="border-t border-gray-200">
+                        <td class="py-1 pr-3"><button data-segment="${escapeHtml(segment.name)}" class="text-blue-600 hover:text-blue-800 hover:underline font-medium">${escapeHtml(segment.name)}</button></td>
+                        ${renderServiceCells(segment)}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    segmentsContainer.querySelectorAll('button[data-segment]').forEach(button => {
+        button.addEventListener('click', () => drillDown('segment', button.dataset.segment));
+    });
+
+    // Most impacted = most delay days, then most late shipments
+    const topNSelect = document.getElementById('customer-top-n');
+    const topN = topNSelect ? parseInt(topNSelect.value, 10) : 10;
+    const customers = computeServiceStatsBy(rows, getCustomerId)
+        .sort((a, b) => b.totalDelayDays - a.totalDelayDays || b.lateCount - a.lateCount);
+    const shown = topN > 0 ? customers.slice(0, topN) : customers;
+    topContainer.innerHTML = `
+        <table class="min-w-full text-xs">
+            <thead class="sticky top-0 bg-white">
+                <tr class="text-gray-700">
+                    <th class="text-left py-1 pr-3">Customer</th>
+                    <th class="text-right py-1 pr-3">Delay days</th>
+                    ${serviceHeaders}
+                </tr>
+            </thead>
+            <tbody>
+                ${shown.map(customer => `
+                    <tr class="border-t border-gray-200 ${customer.name === selectedCustomerId ? 'bg-blue-50' : ''}">
+                        <td class="py-1 pr-3 whitespace-nowrap"><button data-customer="${escapeHtml(customer.name)}" class="text-blue-600 hover:text-blue-800 hover:underline font-medium">${escapeHtml(customer.name)}</button></td>
+                        <td class="py-1 pr-3 text-right font-medium text-gray-900">${customer.totalDelayDays}</td>
+                        ${renderServiceCells(customer)}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <p class="text-xs text-gray-500 mt-2">${shown.length} of ${customers.length} customers, ranked by total delay days.</p>
+    `;
+    topContainer.querySelectorAll('button[data-customer]').forEach(button => {
+        button.addEventListener('click', () => {
+            selectedCustomerId = button.dataset.customer;
+            renderCustomers(filteredRows);
+        });
+    });
+
+    renderCustomerHistory(rows);
+
+    console.log('Customers rendered:', { segments: segments.length, customers: customers.length });
+}
+
+// Function to render the selected customer's shipment history
+function renderCustomerHistory(rows) {
+    const container = document.getElementById('customer-history');
+    if (!container) {
+        return;
+    }
+
+    // A customer filter from a drill-down selects that customer
+    if (activeFilters.customer) {
+        selectedCustomerId = activeFilters.customer;
+    }
+    const customerRows = rows
+        .filter(row => String(getCustomerId(row)) === selectedCustomerId)
+        .sort((a, b) => (getShipmentDate(a)?.valueOf() ?? 0) - (getShipmentDate(b)?.valueOf() ?? 0));
+
+    if (!selectedCustomerId || customerRows.length === 0) {
+        container.innerHTML = '<p class="text-sm text-gray-500">Pick a customer to see their shipment history.</p>';
+        return;
+    }
+
+    const stats = computeServiceStats(customerRows);
+    const segment = getCustomerSegment(customerRows[0]);
+    container.innerHTML = `
+        <div class="flex flex-wrap items-center justify-between gap-2 mb-2">
+            <p class="text-sm text-gray-900"><span class="font-semibold">${escapeHtml(selectedCustomerId)}</span>${segment ? ` · ${escapeHtml(segment)}` : ''} · ${stats.count} shipment${stats.count === 1 ? '' : 's'} · ${stats.onTimePct.toFixed(1)}% on time · ${formatUsd(stats.cost)}</p>
+            ${activeFilters.customer === selectedCustomerId ? '' : `<button id="customer-history-filter" class="text-xs text-blue-600 hover:text-blue-800 font-medium">Filter dashboard to this customer</button>`}
+        </div>
+        <table class="min-w-full text-xs">
+            <thead class="sticky top-0 bg-white">
+                <tr class="text-gray-700">
+                    <th class="text-left py-1 pr-2">Shipped</th>
+                    <th class="text-left py-1 pr-2">ID</th>
+                    <th class="text-left py-1 pr-2">Lane</th>
+                    <th class="text-left py-1 pr-2">Carrier</th>
+                    <th class="text-right py-1 pr-2">Delay</th>
+                    <th class="text-right py-1 pr-2">Cost</th>
+                    <th class="text-left py-1">Invoice</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${customerRows.map(row => {
+                    const delayDays = getDelayDays(row);
+                    return `
+                        <tr class="border-t border-gray-200">
+                            <td class="py-1 pr-2 text-gray-900 whitespace-nowrap">${getShipmentDate(row) ? getShipmentDate(row).format('YYYY-MM-DD') : '-'}</td>
+                            <td class="py-1 pr-2 text-gray-900">${shipmentLink(getShipmentId(row))}</td>
+                            <td class="py-1 pr-2 text-gray-900 whitespace-nowrap">${escapeHtml(getLaneLabel(row))}</td>
+                            <td class="py-1 pr-2 text-gray-900">${escapeHtml(getCarrier(row))}</td>
+                            <td class="py-1 pr-2 text-right ${delayDays > 0 ? 'text-red-600 font-medium' : 'text-gray-900'}">${delayDays} d</td>
+                            <td class="py-1 pr-2 text-right text-gray-900">${formatUsd(getCost(row))}</td>
+                            <td class="py-1 text-gray-900">${escapeHtml(getInvoiceStatus(row) || '-')}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+
+    const filterButton = container.querySelector('#customer-history-filter');
+    if (filterButton) {
+        filterButton.addEventListener('click', () => drillDown('customer', selectedCustomerId));
+    }
+}
+
+// Function to compute the AI insight sentences for a set of rows
+function buildInsights(rows) {
+    const insights = [];
+    
+    // 0. Savings potential insight
+    const savings = computeSavingsPotential(rows);
+    insights.push(`Money on the table: ≈ $${Math.round(savings).toLocaleString()} (${describeSavingsModel()}).`);
+    
+    // 1. Worst average delay by carrier
+    const carrierDelays = {};
+    rows.forEach(row => {
+        const carrier = getCarrier(row);
+        const delayDays = getDelayDays(row);
+        
+        if (delayDays > 0) { // Only count actual delays
+            if (!carrierDelays[carrier]) {
+                carrierDelays[carrier] = { totalDelay: 0, count: 0 };
+            }
+            carrierDelays[carrier].totalDelay += delayDays;
+            carrierDelays[carrier].count += 1;
+        }
+    });
+    
+    const worstCarrier = Object.entries(carrierDelays)
+        .map(([carrier, data]) => ({
+            carrier,
+            avgDelay: data.totalDelay / data.count,
+            count: data.count
+        }))
+        .sort((a, b) => b.avgDelay - a.avgDelay)[0];
+    
+    if (worstCarrier && worstCarrier.count >= 2) { // Only show if at least 2 delayed shipments
+        insights.push(`Carrier ${worstCarrier.carrier} has the highest average delay at ${worstCarrier.avgDelay.toFixed(1)} days (n=${worstCarrier.count}).`);
+    }
+    
+    // 2. On-time rate (reuse KPI calculation)
+    const onTimeRows = rows.filter(row => {
+        const delayDays = getDelayDays(row);
+        return delayDays <= 0;
+    });
+    const onTimeRate = ((onTimeRows.length / rows.length) * 100).toFixed(1);
+    insights.push(`On-time performance is ${onTimeRate}% across ${rows.length} shipments.`);
+    
+    // 3. Risk mix (reuse risk distribution data)
+    const riskCounts = {};
+    rows.forEach(row => {
+        const normalizedRisk = getRiskLevel(row);
+        riskCounts[normalizedRisk] = (riskCounts[normalizedRisk] || 0) + 1;
+    });
+    
+    const highRiskCount = (riskCounts['High'] || 0) + (riskCounts['Critical'] || 0);
+    const highRiskPercent = ((highRiskCount / rows.length) * 100).toFixed(1);
+    if (highRiskCount > 0) {
+        insights.push(`High/Critical risk accounts for ${highRiskPercent}% of shipments.`);
+    }
+    
+    // 4. Cost-distance correlation
+    const validPoints = rows.map(row => {
+        const distance = getDistance(row);
+        const cost = getCost(row);
+        return { distance, cost };
+    }).filter(point => point.distance > 0 && point.cost > 0);
+    
+    if (validPoints.length >= 3) {
+        const correlation = calculatePearsonCorrelation(validPoints);
+        if (Math.abs(correlation) >= 0.3) {
+            const strength = Math.abs(correlation) >= 0.7 ? 'strong' : 'moderate';
+            const direction = correlation > 0 ? 'positive' : 'negative';
+            insights.push(`Cost and distance show a ${strength} ${direction} correlation (r=${correlation.toFixed(2)}).`);
+        }
+    }
+    
+    // 5. Top route by emissions
+    const routeEmissions = {};
+    
+    rows.forEach(row => {
+        const origin = getOrigin(row);
+        const destination = getDestination(row);
+        const route = `${origin} → ${destination}`;
+        
+        const emissionsKg = calculateEmissions(row);
+        routeEmissions[route] = (routeEmissions[route] || 0) + emissionsKg;
+    });
+    
+    const topRoute = Object.entries(routeEmissions)
+        .sort((a, b) => b[1] - a[1])[0];
+    
+    if (topRoute) {
+        insights.push(`Route ${topRoute[0]} contributes ~${Math.round(topRoute[1]).toLocaleString()} kg CO₂ (est.).`);
+    }
+
+    // 6. Top delay root cause
+    const rootCauses = computeRootCauses(rows);
+    const topCause = [...rootCauses.reasons].sort((a, b) => b.delayDays - a.delayDays)[0];
+    if (topCause && rootCauses.totalDelayDays > 0) {
+        const delayShare = ((topCause.delayDays / rootCauses.totalDelayDays) * 100).toFixed(1);
+        const countShare = ((topCause.count / rootCauses.totalCount) * 100).toFixed(1);
+        insights.push(`Top delay root cause is ${topCause.reason}: ${delayShare}% of delay-days and ${countShare}% of late shipments (~$${Math.round(topCause.cost).toLocaleString()} est. cost).`);
+    }
+
+    // 7. Delay prediction reliability
+    const predictionPairs = getPredictionPairs(rows);
+    if (predictionPairs.length >= 5) {
+        const accuracy = computePredictionAccuracy(predictionPairs);
+        const biasText = Math.abs(accuracy.bias) < 0.05
+            ? 'show no systematic bias'
+            : `${accuracy.bias < 0 ? 'understate' : 'overstate'} delays by ${Math.abs(accuracy.bias).toFixed(1)} days`;
+        insights.push(`Delay predictions are off by ${accuracy.mae.toFixed(1)} days on average and ${biasText} (n=${accuracy.count}).`);
+    }
+
+    return insights;
+}
+
+// Function to render AI insights
+function renderInsights(rows) {
+    if (!rows || rows.length === 0) {
+        console.warn('No data available for insights');
+        return;
+    }
+
+    const insights = buildInsights(rows);
+    
+    // Render insights
+    const insightsContainer = document.querySelector('#insights .space-y-4');
+    console.log('Insights container found:', insightsContainer);
+    console.log('Insights to render:', insights);
+    
     if (insightsContainer) {
         if (insights.length > 0) {
             insightsContainer.innerHTML = insights.map(insight => 
                 `<div class="p-4 bg-gray-50 border border-gray-200 rounded-lg">
-                    <p class="text-gray-900 text-sm">• ${insight}</p>
+                    <p class="text-gray-900 text-sm">• ${escapeHtml(insight)}</p>
                 </div>`
             ).join('');
         } else {
-            insightsContainer.innerHTML = `
-                <div class="p-4 bg-gray-50 border border-gray-200 rounded-lg">
-                    <p class="text-gray-900 text-sm">• Data loaded successfully. No insights available in this sample.</p>
+            insightsContainer.innerHTML = `
+                <div class="p-4 bg-gray-50 border border-gray-200 rounded-lg">
+                    <p class="text-gray-900 text-sm">• Data loaded successfully. No insights available in this sample.</p>
+                </div>
+            `;
+        }
+    } else {
+        console.error('Insights container not found');
+    }
+    
+    console.log('Insights rendered:', insights);
+}
+
+// Helper function to calculate Pearson correlation coefficient
+function calculatePearsonCorrelation(points) {
+    const n = points.length;
+    if (n < 2) return 0;
+    
+    const x = points.map(p => p.distance);
+    const y = points.map(p => p.cost);
+    
+    const sumX = x.reduce((a, b) => a + b, 0);
+    const sumY = y.reduce((a, b) => a + b, 0);
+    const sumXY = x.reduce((sum, xi, i) => sum + xi * y[i], 0);
+    const sumX2 = x.reduce((sum, xi) => sum + xi * xi, 0);
+    const sumY2 = y.reduce((sum, yi) => sum + yi * yi, 0);
+    
+    const numerator = n * sumXY - sumX * sumY;
+    const denominator = Math.sqrt((n * sumX2 - sumX * sumX) * (n * sumY2 - sumY * sumY));
+    
+    return denominator === 0 ? 0 : numerator / denominator;
+}
+
+// Helper function to list the most delayed shipments
+function getTopLateShipments(rows, limit) {
+    return rows
+        .map(row => {
+            const delayDays = getDelayDays(row);
+            const shipmentId = getShipmentId(row);
+            const carrier = getCarrier(row);
+            const lane = getLaneLabel(row);
+
+            return {
+                shipmentId,
+                carrier,
+                lane,
+                delayDays
+            };
+        })
+        .filter(shipment => shipment.delayDays > 0)
+        .sort((a, b) => b.delayDays - a.delayDays)
+        .slice(0, limit);
+}
+
+// Function to render outliers and anomalies
+function renderOutliersAndAnomalies(rows) {
+    if (!rows || rows.length === 0) {
+        console.warn('No data available for outliers and anomalies');
+        return;
+    }
+
+    const insightsContainer = document.querySelector('#insights .space-y-4');
+    if (!insightsContainer) {
+        console.error('Insights container not found');
+        return;
+    }
+
+    const newCards = [];
+
+    // 1. Top 5 late shipments
+    const lateShipments = getTopLateShipments(rows, 5);
+
+    if (lateShipments.length > 0) {
+        const tableHTML = `
+            <div class="p-4 bg-gray-50 border border-gray-200 rounded-lg">
+                <h4 class="text-sm font-medium text-gray-900 mb-3">Top ${lateShipments.length} Late Shipments</h4>
+                <div class="overflow-x-auto">
+                    <table class="min-w-full text-xs">
+                        <thead>
+                            <tr class="text-gray-700">
+                                <th class="text-left py-1 pr-2">ID</th>
+                                <th class="text-left py-1 pr-2">Carrier</th>
+                                <th class="text-left py-1 pr-2">Lane</th>
+                                <th class="text-right py-1">Delay d</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${lateShipments.map(shipment => `
+                                <tr class="border-t border-gray-200">
+                                    <td class="py-1 pr-2 text-gray-900">${shipmentLink(shipment.shipmentId)}</td>
+                                    <td class="py-1 pr-2 text-gray-900">${escapeHtml(shipment.carrier)}</td>
+                                    <td class="py-1 pr-2 text-gray-900">${escapeHtml(shipment.lane)}</td>
+                                    <td class="py-1 text-right text-gray-900 font-medium">${shipment.delayDays}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+        newCards.push(tableHTML);
+    }
+
+    // 2. Weekly on-time dip analysis
+    const weeklyData = {};
+    const validDateRows = [];
+
+    rows.forEach(row => {
+        const parsedDate = getShipmentDate(row);
+        if (parsedDate) {
+            const weekKey = parsedDate.format('GGGG-[W]WW');
+            const delayDays = getDelayDays(row);
+            
+            if (!weeklyData[weekKey]) {
+                weeklyData[weekKey] = { total: 0, onTime: 0 };
+            }
+            weeklyData[weekKey].total += 1;
+            if (delayDays <= 0) {
+                weeklyData[weekKey].onTime += 1;
+            }
+            
+            validDateRows.push({ weekKey, delayDays });
+        }
+    });
+
+    if (Object.keys(weeklyData).length > 0) {
+        // Calculate on-time percentages for each week
+        const weeklyStats = Object.entries(weeklyData)
+            .map(([week, data]) => ({
+                week,
+                onTimePct: (data.onTime / data.total) * 100,
+                count: data.total
+            }))
+            .sort((a, b) => a.week.localeCompare(b.week));
+
+        // Find lowest on-time week
+        const lowestWeek = weeklyStats.reduce((min, current) => 
+            current.onTimePct < min.onTimePct ? current : min
+        );
+
+        // Find largest week-over-week drop
+        let largestDrop = null;
+        for (let i = 1; i < weeklyStats.length; i++) {
+            const current = weeklyStats[i];
+            const previous = weeklyStats[i - 1];
+            const delta = current.onTimePct - previous.onTimePct;
+            
+            if (delta < 0 && (!largestDrop || delta < largestDrop.delta)) {
+                largestDrop = {
+                    delta,
+                    week: current.week,
+                    pct: current.onTimePct,
+                    count: current.count
+                };
+            }
+        }
+
+        const weeklyInsights = [];
+        
+        if (lowestWeek && lowestWeek.onTimePct < 100) {
+            weeklyInsights.push(`On-time rate dipped to ${lowestWeek.onTimePct.toFixed(1)}% in ${lowestWeek.week} (n=${lowestWeek.count}).`);
+        }
+        
+        if (largestDrop) {
+            weeklyInsights.push(`Largest WoW drop: ${Math.abs(largestDrop.delta).toFixed(1)} pts in ${largestDrop.week}.`);
+        }
+
+        if (weeklyInsights.length > 0) {
+            const weeklyHTML = `
+                <div class="p-4 bg-gray-50 border border-gray-200 rounded-lg">
+                    <h4 class="text-sm font-medium text-gray-900 mb-2">Weekly Performance</h4>
+                    ${weeklyInsights.map(insight => 
+                        `<p class="text-gray-900 text-sm">• ${insight}</p>`
+                    ).join('')}
+                </div>
+            `;
+            newCards.push(weeklyHTML);
+        }
+    }
+
+    // Insert new cards at the top of insights
+    if (newCards.length > 0) {
+        const existingContent = insightsContainer.innerHTML;
+        insightsContainer.innerHTML = newCards.join('') + existingContent;
+    }
+
+    console.log('Outliers and anomalies rendered:', {
+        lateShipments: lateShipments.length,
+        weeklyWeeks: Object.keys(weeklyData).length
+    });
+}
+
+// ---- Local persistence ----
+// IndexedDB keeps uploaded datasets, column mappings, filters and settings between visits
+const LOCAL_DB_NAME = 'derya-freight';
+const LOCAL_DB_VERSION = 1;
+const DATASET_STORE = 'datasets'; // dataset records keyed by id
+const STATE_STORE = 'state'; // 'settings', 'columnMappings', 'session', 'visited' and 'datasetIndex' entries
+
+// Datasets kept for the recent list; the oldest are dropped beyond this
+const RECENT_DATASETS_LIMIT = 5;
+
+// Id of the dataset on screen (see getDatasetId), and whether it is the bundled sample (never stored)
+let currentDatasetId = null;
+let currentDatasetBuiltIn = false;
+
+// Bundled sample dataset, loaded when there is nothing to restore
+const SAMPLE_DATASET_URL = './data/Sample_Freight_Dataset.xlsx';
+
+let localDbPromise = null;
+
+// Function to open (and on first use create) the local database; resolves null when IndexedDB is unavailable
+function openLocalDb() {
+    if (!localDbPromise) {
+        localDbPromise = new Promise(resolve => {
+            if (!window.indexedDB) {
+                console.warn('IndexedDB is not available: data will not be kept between visits');
+                resolve(null);
+                return;
+            }
+
+            const request = window.indexedDB.open(LOCAL_DB_NAME, LOCAL_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(DATASET_STORE)) {
+                    db.createObjectStore(DATASET_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(STATE_STORE)) {
+                    db.createObjectStore(STATE_STORE);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Could not open the local database:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return localDbPromise;
+}
+
+// Helper function to run a single request against a store (resolves undefined without a database)
+async function localDbRequest(storeName, mode, makeRequest) {
+    const db = await openLocalDb();
+    if (!db) {
+        return undefined;
+    }
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function localDbGet(storeName, key) {
+    return localDbRequest(storeName, 'readonly', store => store.get(key));
+}
+
+function localDbGetAll(storeName) {
+    return localDbRequest(storeName, 'readonly', store => store.getAll());
+}
+
+function localDbPut(storeName, value, key) {
+    return localDbRequest(storeName, 'readwrite', store => key === undefined ? store.put(value) : store.put(value, key));
+}
+
+function localDbDelete(storeName, key) {
+    return localDbRequest(storeName, 'readwrite', store => store.delete(key));
+}
+
+function localDbClear(storeName) {
+    return localDbRequest(storeName, 'readwrite', store => store.clear());
+}
+
+// Helper function to identify a dataset: re-uploading the same file replaces its saved copy
+function getDatasetId(rows, sourceName) {
+    return `${sourceName}|${rows.length}|${getHeaderSignature(getColumnHeaders(rows))}`;
+}
+
+// Helper function to get a stored dataset's rows with their spreadsheet row numbers put back
+function getStoredDatasetRows(dataset) {
+    return dataset.rows.map((row, index) => setSourceRowNumber(row, dataset.rowNumbers ? dataset.rowNumbers[index] : null));
+}
+
+// Function to read the recent list ({ id, name, rowCount, savedAt }, newest first)
+// It is kept apart from the rows, so listing or reopening datasets does not read or rewrite them
+async function loadDatasetIndex() {
+    const index = await localDbGet(STATE_STORE, 'datasetIndex');
+    if (index) {
+        return index;
+    }
+    // Datasets saved before the index existed carry their own savedAt
+    const datasets = (await localDbGetAll(DATASET_STORE)) || [];
+    return datasets
+        .map(({ id, name, rowCount, savedAt }) => ({ id, name, rowCount, savedAt }))
+        .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+// Function to save a dataset for the recent list and drop the oldest beyond the limit
+// `rowsStored` marks rows reopened from the database: they are only moved to the top of the list
+async function rememberDataset(id, rows, sourceName, { rowsStored = false } = {}) {
+    try {
+        const index = await loadDatasetIndex();
+        if (!rowsStored || !index.some(entry => entry.id === id)) {
+            // Spreadsheet row numbers are not copied into the database with the rows, so they are stored beside them
+            const rowNumbers = rows.map(row => row.__rowNum__ ?? null);
+            await localDbPut(DATASET_STORE, { id, name: sourceName, rows, rowNumbers, rowCount: rows.length });
+        }
+
+        const entries = [
+            { id, name: sourceName, rowCount: rows.length, savedAt: new Date().toISOString() },
+            ...index.filter(entry => entry.id !== id)
+        ];
+        await Promise.all(entries.slice(RECENT_DATASETS_LIMIT).map(entry => localDbDelete(DATASET_STORE, entry.id)));
+        await localDbPut(STATE_STORE, entries.slice(0, RECENT_DATASETS_LIMIT), 'datasetIndex');
+    } catch (error) {
+        console.warn('Could not save the dataset locally:', error);
+    }
+    renderRecentDatasets();
+}
+
+// Function to save the dataset on screen and its filters, so the next visit opens where this one left off
+function saveSession() {
+    localDbPut(STATE_STORE, { datasetId: currentDatasetId, builtIn: currentDatasetBuiltIn, filters: { ...activeFilters } }, 'session')
+        .catch(error => console.warn('Could not save the session:', error));
+}
+
+// Function to reopen the dataset and filters from the last visit; resolves false when there is nothing to restore
+async function restoreLastSession() {
+    try {
+        const session = await localDbGet(STATE_STORE, 'session');
+        if (!session) {
+            return false;
+        }
+
+        // The bundled sample is not stored; it is loaded again and only its filters come back
+        if (session.builtIn) {
+            if (!(await loadExcel(SAMPLE_DATASET_URL))) {
+                return false;
+            }
+        } else {
+            const dataset = session.datasetId ? await localDbGet(DATASET_STORE, session.datasetId) : null;
+            if (!dataset) {
+                return false;
+            }
+            showLoadingHint(`Reopening ${dataset.name}...`);
+            await ingestRows(getStoredDatasetRows(dataset), dataset.name, { interactive: false, stored: true });
+        }
+
+        Object.keys(activeFilters).forEach(key => {
+            activeFilters[key] = (session.filters && session.filters[key]) || '';
+        });
+        syncFilterControls();
+        urlState.replaceNext = true;
+        applyFilters();
+        return true;
+    } catch (error) {
+        console.warn('Could not restore the last session:', error);
+        return false;
+    }
+}
+
+// Function to switch to a dataset from the recent list
+async function openRecentDataset(id) {
+    try {
+        const dataset = await localDbGet(DATASET_STORE, id);
+        if (!dataset) {
+            throw new Error('This dataset is no longer stored locally');
+        }
+        showLoadingHint(`Reopening ${dataset.name}...`);
+        await ingestRows(getStoredDatasetRows(dataset), dataset.name, { interactive: false, stored: true });
+    } catch (error) {
+        console.error('Error opening recent dataset:', error);
+        showErrorHint(error.message);
+    }
+}
+
+// Function to fill the recent datasets menu
+async function renderRecentDatasets() {
+    const list = document.getElementById('recent-datasets');
+    if (!list) {
+        return;
+    }
+
+    let datasets = [];
+    try {
+        datasets = await loadDatasetIndex();
+    } catch (error) {
+        console.warn('Could not read recent datasets:', error);
+    }
+
+    list.innerHTML = datasets.length > 0
+        ? datasets.map(dataset => `
+            <button data-dataset-id="${escapeHtml(dataset.id)}" class="w-full text-left px-4 py-2 text-sm text-gray-900 hover:bg-gray-100 ${dataset.id === currentDatasetId ? 'font-semibold' : ''}">
+                <span class="block truncate">${escapeHtml(dataset.name)}</span>
+                <span class="block text-xs text-gray-500">${dataset.rowCount} rows · ${dayjs(dataset.savedAt).format('YYYY-MM-DD HH:mm')}</span>
+            </button>
+        `).join('')
+        : '<p class="px-4 py-2 text-sm text-gray-500">No datasets saved yet</p>';
+}
+
+// Function to delete everything stored locally and start over with defaults
+async function clearLocalData() {
+    try {
+        await localDbClear(DATASET_STORE);
+        await localDbClear(STATE_STORE);
+        localStorage.removeItem(SETTINGS_STORAGE_KEY);
+        localStorage.removeItem(COLUMN_MAPPING_STORAGE_KEY);
+    } catch (error) {
+        console.error('Error clearing local data:', error);
+    }
+    window.location.reload();
+}
+
+// Function to confirm before clearing local data
+function confirmClearLocalData() {
+    const content = `
+        <p class="text-sm text-gray-700">
+            This removes the saved datasets, column mappings, filters and settings from this browser. The page reloads with the sample data.
+        </p>
+    `;
+
+    const buttons = `
+        <button id="clear-local-cancel" class="px-4 py-2 text-gray-600 hover:text-gray-900 text-sm font-medium transition-colors">
+            Cancel
+        </button>
+        <button id="clear-local-confirm" class="bg-red-600 hover:bg-red-700 text-white px-6 py-2 rounded-lg text-sm font-medium transition-all duration-200">
+            Clear Local Data
+        </button>
+    `;
+
+    const popup = createPopup('Clear Local Data?', content, buttons);
+    const closePopup = () => {
+        if (popup.parentNode) {
+            document.body.removeChild(popup);
+        }
+    };
+    popup.querySelector('#clear-local-cancel').addEventListener('click', closePopup);
+    popup.querySelector('#clear-local-confirm').addEventListener('click', () => {
+        closePopup();
+        clearLocalData();
+    });
+}
+
+// Function to wire the recent datasets menu
+function setupRecentDatasets() {
+    const recentBtn = document.getElementById('btn-recent');
+    const recentMenu = document.getElementById('recent-menu');
+    if (!recentBtn || !recentMenu) {
+        return;
+    }
+
+    recentBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        recentMenu.classList.toggle('hidden');
+    });
+
+    recentMenu.addEventListener('click', (e) => {
+        const datasetButton = e.target.closest('button[data-dataset-id]');
+        if (datasetButton) {
+            recentMenu.classList.add('hidden');
+            openRecentDataset(datasetButton.dataset.datasetId);
+        } else if (e.target.closest('#clear-local-data')) {
+            recentMenu.classList.add('hidden');
+            confirmClearLocalData();
+        }
+    });
+
+    // Close the menu when clicking elsewhere
+    document.addEventListener('click', (e) => {
+        if (!recentMenu.contains(e.target) && e.target !== recentBtn) {
+            recentMenu.classList.add('hidden');
+        }
+    });
+
+    renderRecentDatasets();
+}
+
+// Welcome popup only greets first-time visitors
+async function isFirstVisit() {
+    try {
+        return !(await localDbGet(STATE_STORE, 'visited'));
+    } catch (error) {
+        console.warn('Could not read the visit flag:', error);
+        return true;
+    }
+}
+
+function markVisited() {
+    localDbPut(STATE_STORE, true, 'visited')
+        .catch(error => console.warn('Could not save the visit flag:', error));
+}
+
+// ---- Shareable URL state ----
+// Query parameter per filter; ?cpd= (cost per delay day) is left alone and still read at startup
+const URL_FILTER_PARAMS = {
+    startDate: 'from',
+    endDate: 'to',
+    carrier: 'carrier',
+    mode: 'mode',
+    risk: 'risk',
+    lane: 'lane',
+    segment: 'segment',
+    customer: 'customer'
+};
+
+// Other view parameters: dataset name, drill-down path and visible table columns
+const URL_VIEW_PARAMS = ['dataset', 'drill', 'cols'];
+
+// Separator for list parameters (column names may contain commas)
+const URL_LIST_SEPARATOR = '|';
+
+const urlState = {
+    applying: false, // true while a view is restored from the URL (no new history entries)
+    replaceNext: false // the next update replaces the current history entry (e.g. a freshly loaded dataset)
+};
+
+// Function to read the view encoded in the URL (null when the URL carries none)
+function readUrlView() {
+    const params = new URLSearchParams(window.location.search);
+    const keys = [...Object.values(URL_FILTER_PARAMS), ...URL_VIEW_PARAMS];
+    if (!keys.some(key => params.has(key))) {
+        return null;
+    }
+
+    const filters = {};
+    Object.entries(URL_FILTER_PARAMS).forEach(([key, param]) => {
+        filters[key] = params.get(param) || '';
+    });
+    return {
+        dataset: params.get('dataset') || '',
+        filters,
+        drill: params.get('drill') ? params.get('drill').split(URL_LIST_SEPARATOR) : [],
+        columns: params.get('cols') ? params.get('cols').split(URL_LIST_SEPARATOR) : null
+    };
+}
+
+// Function to encode the current view as query parameters, keeping unrelated ones such as ?cpd=
+function buildUrlQuery() {
+    const params = new URLSearchParams(window.location.search);
+    [...Object.values(URL_FILTER_PARAMS), ...URL_VIEW_PARAMS].forEach(key => params.delete(key));
+
+    if (loadedSourceName) {
+        params.set('dataset', loadedSourceName);
+    }
+    Object.entries(URL_FILTER_PARAMS).forEach(([key, param]) => {
+        if (activeFilters[key]) {
+            params.set(param, activeFilters[key]);
+        }
+    });
+    if (drillHistory.length > 0) {
+        params.set('drill', drillHistory.map(entry => entry.param).join(URL_LIST_SEPARATOR));
+    }
+
+    // Columns only when they differ from the defaults, to keep links short
+    if (dataTable) {
+        const defaults = getDefaultTableColumns(dataTable.allColumns);
+        if (dataTable.visibleColumns.join(URL_LIST_SEPARATOR) !== defaults.join(URL_LIST_SEPARATOR)) {
+            params.set('cols', dataTable.visibleColumns.join(URL_LIST_SEPARATOR));
+        }
+    }
+    return params;
+}
+
+// Function to write the current view into the URL; filter changes add a history entry so back/forward step through them
+function updateUrlState({ replace = false } = {}) {
+    const replaceEntry = replace || urlState.replaceNext;
+    urlState.replaceNext = false;
+    if (urlState.applying || loadedRows.length === 0) {
+        return;
+    }
+
+    const query = buildUrlQuery().toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+        return;
+    }
+    window.history[replaceEntry ? 'replaceState' : 'pushState']({ query }, '', url);
+}
+
+// Function to rebuild the drill-down breadcrumbs from the URL's drill path
+// Each step is undone by clearing its own filter, which is how it was added
+function rebuildDrillHistory(path, filters) {
+    const entries = [];
+    let current = { ...filters };
+    path.slice().reverse().forEach(param => {
+        const before = { ...current };
+        let label;
+        let applied;
+        if (param.startsWith('period:')) {
+            before.startDate = '';
+            before.endDate = '';
+            label = `Period: ${param.slice('period:'.length)}`;
+            applied = { startDate: current.startDate, endDate: current.endDate };
+        } else if (FILTER_LABELS[param] && current[param]) {
+            before[param] = '';
+            label = `${FILTER_LABELS[param]}: ${formatFilterValue(param, current[param])}`;
+            applied = { [param]: current[param] };
+        } else {
+            return;
+        }
+        entries.unshift({ label, filters: before, param, applied });
+        current = before;
+    });
+    drillHistory.length = 0;
+    drillHistory.push(...entries);
+}
+
+// Function to apply a view read from the URL to the loaded dataset
+function applyUrlView(view) {
+    urlState.applying = true;
+    try {
+        Object.keys(activeFilters).forEach(key => {
+            activeFilters[key] = view.filters[key] || '';
+        });
+        rebuildDrillHistory(view.drill, activeFilters);
+
+        if (dataTable) {
+            const columns = view.columns ? view.columns.filter(col => dataTable.allColumns.includes(col)) : [];
+            dataTable.visibleColumns = columns.length > 0 ? columns : getDefaultTableColumns(dataTable.allColumns);
+        }
+
+        syncFilterControls();
+        applyFilters();
+    } finally {
+        urlState.applying = false;
+    }
+    // Normalize the URL in place (unknown columns dropped, dataset name corrected)
+    updateUrlState({ replace: true });
+}
+
+// Helper function to find the most recently saved local dataset with a given name
+async function findStoredDatasetByName(name) {
+    try {
+        const entry = (await loadDatasetIndex()).find(dataset => dataset.name === name);
+        return entry ? (await localDbGet(DATASET_STORE, entry.id)) || null : null;
+    } catch (error) {
+        console.warn('Could not look up local datasets:', error);
+        return null;
+    }
+}
+
+// Function to tell the user a shared link points at a dataset this browser does not have
+function showMissingDatasetNotice(datasetName) {
+    const content = `
+        <p class="text-sm text-gray-700 mb-4">
+            This link shows a view of <span class="font-medium">${escapeHtml(datasetName)}</span>, which is not stored in this browser.
+        </p>
+        <p class="text-sm text-gray-700">
+            Its filters were applied to <span class="font-medium">${escapeHtml(loadedSourceName)}</span> instead. Upload ${escapeHtml(datasetName)} to see the shared view.
+        </p>
+    `;
+
+    const buttons = `
+        <span></span>
+        <button id="missing-dataset-ok" class="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg text-sm font-medium transition-all duration-200">
+            OK
+        </button>
+    `;
+
+    const popup = createPopup('Dataset Not Available', content, buttons);
+    popup.querySelector('#missing-dataset-ok').addEventListener('click', () => {
+        if (popup.parentNode) {
+            document.body.removeChild(popup);
+        }
+    });
+}
+
+// Function to restore a view from the URL, switching dataset first when it names another stored one
+async function restoreUrlView(view) {
+    if (view.dataset && view.dataset !== loadedSourceName) {
+        const dataset = await findStoredDatasetByName(view.dataset);
+        const isSample = view.dataset === SAMPLE_DATASET_URL.split('/').pop();
+        if (dataset || isSample) {
+            urlState.applying = true;
+            try {
+                if (dataset) {
+                    await ingestRows(getStoredDatasetRows(dataset), dataset.name, { interactive: false, stored: true });
+                } else {
+                    await loadExcel(SAMPLE_DATASET_URL);
+                }
+            } finally {
+                urlState.applying = false;
+            }
+        } else {
+            showMissingDatasetNotice(view.dataset);
+        }
+    }
+    applyUrlView(view);
+}
+
+// Function to copy the link to the current view
+async function copyViewLink() {
+    const button = document.getElementById('filter-copy-link');
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        if (button) {
+            button.textContent = 'Link copied';
+            setTimeout(() => {
+                button.textContent = 'Copy link';
+            }, 2000);
+        }
+    } catch (error) {
+        console.warn('Could not copy the link:', error);
+    }
+}
+
+// Function to wire back/forward navigation and the copy link button
+function setupUrlState() {
+    window.addEventListener('popstate', () => {
+        if (loadedRows.length === 0) {
+            return;
+        }
+        const view = readUrlView() || { dataset: '', filters: {}, drill: [], columns: null };
+        restoreUrlView(view);
+    });
+
+    const copyBtn = document.getElementById('filter-copy-link');
+    if (copyBtn) {
+        copyBtn.addEventListener('click', copyViewLink);
+    }
+}
+
+// ---- Settings ----
+// Helper function to list rate overrides for display ("Air: $300, Sea: $80")
+function formatRateOverrides(rates) {
+    const entries = Object.entries(rates);
+    return entries.length > 0 ? entries.map(([key, rate]) => `${key}: $${rate}`).join(', ') : '-';
+}
+
+// Function to restore saved settings (a ?cpd= URL parameter still wins for cost per delay day)
+async function loadSettings() {
+    try {
+        const saved = (await localDbGet(STATE_STORE, 'settings')) || JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        if (saved && saved.savings) {
+            Object.assign(savingsSettings, saved.savings);
+        }
+        if (saved && saved.emissions) {
+            Object.assign(emissionSettings, saved.emissions);
+        }
+        if (saved && saved.accuracy) {
+            Object.assign(accuracySettings, saved.accuracy);
+        }
+        if (saved && saved.anomalies) {
+            Object.assign(anomalySettings, saved.anomalies);
+        }
+        if (saved && saved.finance) {
+            Object.assign(financeSettings, saved.finance);
+        }
+        if (saved && saved.scorecard) {
+            Object.assign(scorecardWeights, saved.scorecard);
+        }
+        if (saved && saved.ports) {
+            Object.assign(customPortCoordinates, saved.ports);
+        }
+    } catch (error) {
+        console.warn('Could not read saved settings:', error);
+    }
+
+    if (new URLSearchParams(window.location.search).has('cpd')) {
+        savingsSettings.costPerDelayDay = COST_PER_DELAY_DAY;
+    }
+}
+
+// Function to persist the current settings
+function saveSettings() {
+    localDbPut(STATE_STORE, { savings: savingsSettings, emissions: emissionSettings, accuracy: accuracySettings, anomalies: anomalySettings, finance: financeSettings, scorecard: scorecardWeights, ports: customPortCoordinates }, 'settings')
+        .catch(error => console.warn('Could not save settings:', error));
+}
+
+// Helper function to render a table of per-key rate inputs (blank = use the default rate)
+function renderRateInputs(group, keys, rates) {
+    if (keys.length === 0) {
+        return '<p class="text-xs text-gray-500">Load a dataset to set overrides.</p>';
+    }
+    return `
+        <div class="grid grid-cols-2 gap-2">
+            ${keys.map(key => `
+                <label class="flex items-center justify-between space-x-2 text-sm text-gray-900">
+                    <span class="truncate">${escapeHtml(key)}</span>
+                    <input data-rate-group="${group}" data-rate-key="${escapeHtml(key)}" type="number" min="0" step="1" value="${typeof rates[key] === 'number' ? rates[key] : ''}" placeholder="default" class="w-24 bg-gray-50 border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500">
+                </label>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Helper function to render the emission factor inputs: one per mode, plus sub-modes seen in the data
+function renderEmissionFactorInputs(modes) {
+    const inputClass = 'w-24 bg-gray-50 border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+    return modes.map(mode => {
+        const subModes = Array.from(new Set([
+            ...getDistinctValues(loadedRows.filter(row => getTransportMode(row) === mode), getSubMode).filter(Boolean),
+            ...Object.keys(emissionSettings.subModeFactors[mode] || {})
+        ]));
+        const subModeFactors = emissionSettings.subModeFactors[mode] || {};
+
+        return `
+            <div class="border border-gray-200 rounded-lg p-3">
+                <label class="flex items-center justify-between text-sm font-medium text-gray-900">
+                    <span>${escapeHtml(mode)}</span>
+                    <input data-factor-mode="${escapeHtml(mode)}" type="number" min="0" step="0.1" value="${emissionSettings.modeFactors[mode] ?? ''}" placeholder="fallback" class="${inputClass}">
+                </label>
+                ${subModes.length > 0 ? `
+                    <div class="grid grid-cols-2 gap-2 mt-2 pl-3">
+                        ${subModes.map(subMode => `
+                            <label class="flex items-center justify-between space-x-2 text-xs text-gray-700">
+                                <span class="truncate">${escapeHtml(subMode)}</span>
+                                <input data-factor-mode="${escapeHtml(mode)}" data-factor-submode="${escapeHtml(subMode)}" type="number" min="0" step="0.1" value="${subModeFactors[subMode] ?? ''}" placeholder="mode" class="${inputClass}">
+                            </label>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+// Function to open the settings panel
+function openSettingsPanel() {
+    // Offer overrides for values in the data plus any saved ones not in this dataset
+    const modes = Array.from(new Set([...getDistinctValues(loadedRows, getTransportMode), ...Object.keys(savingsSettings.modeRates)]));
+    const segments = Array.from(new Set([...getDistinctValues(loadedRows, getCustomerSegment), ...Object.keys(savingsSettings.segmentRates)]));
+    const emissionModes = Array.from(new Set([...Object.keys(emissionSettings.modeFactors), ...getDistinctValues(loadedRows, getTransportMode)]));
+    const sectionTitle = (title) => `<h4 class="text-sm font-semibold text-gray-900 mb-2">${title}</h4>`;
+
+    const content = `
+        <div class="max-h-[60vh] overflow-y-auto pr-1 space-y-5">
+            <section>
+                ${sectionTitle('Savings model')}
+                <label class="flex items-center justify-between text-sm text-gray-900 mb-3">
+                    <span>Cost per delay day (USD)</span>
+                    <input id="settings-cost-per-delay-day" type="number" min="0" step="1" value="${savingsSettings.costPerDelayDay}" class="w-24 bg-gray-50 border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500">
+                </label>
+                <label class="flex items-center space-x-2 text-sm text-gray-900 mb-1">
+                    <input id="settings-include-surcharges" type="checkbox" ${savingsSettings.includeSurcharges ? 'checked' : ''} class="rounded border-gray-300 text-blue-600">
+                    <span>Count surcharges on late shipments (<code>surcharge_usd</code>)</span>
+                </label>
+                <label class="flex items-center space-x-2 text-sm text-gray-900">
+                    <input id="settings-include-route-optimization" type="checkbox" ${savingsSettings.includeRouteOptimization ? 'checked' : ''} class="rounded border-gray-300 text-blue-600">
+                    <span>Add route optimization savings (<code>route_optimization_savings_usd</code>)</span>
+                </label>
+            </section>
+            <section>
+                ${sectionTitle('Cost per delay day by mode')}
+                ${renderRateInputs('mode', modes, savingsSettings.modeRates)}
+            </section>
+            <section>
+                ${sectionTitle('Cost per delay day by customer segment')}
+                <p class="text-xs text-gray-500 mb-2">Segment rates take precedence over mode rates.</p>
+                ${renderRateInputs('segment', segments, savingsSettings.segmentRates)}
+            </section>
+            <section>
+                ${sectionTitle('Emission factors (g CO₂e per tonne-km)')}
+                <p class="text-xs text-gray-500 mb-2">Sub-mode factors (container type / vehicle class) take precedence over the mode factor. Leave blank to use the mode factor.</p>
+                <div class="space-y-2 mb-3">
+                    ${renderEmissionFactorInputs(emissionModes)}
+                </div>
+                <label class="flex items-center justify-between text-sm text-gray-900 mb-2">
+                    <span>Factor for unknown modes</span>
+                    <select id="settings-fallback-mode" class="bg-gray-50 border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-900">
+                        ${Object.keys(emissionSettings.modeFactors).map(mode => `<option value="${escapeHtml(mode)}" ${mode === emissionSettings.fallbackMode ? 'selected' : ''}>${escapeHtml(mode)}</option>`).join('')}
+                    </select>
+                </label>
+                <label class="flex items-center justify-between text-sm text-gray-900 mb-2">
+                    <span>Assumed weight when missing (kg)</span>
+                    <input id="settings-default-weight" type="number" min="1" step="1" value="${emissionSettings.defaultWeightKg}" class="w-24 bg-gray-50 border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500">
+                </label>
+                <label class="flex items-center space-x-2 text-sm text-gray-900 mb-2">
+                    <input id="settings-prefer-reported" type="checkbox" ${emissionSettings.preferReported ? 'checked' : ''} class="rounded border-gray-300 text-blue-600">
+                    <span>Use reported emissions (<code>carbon_emissions_kg</code>) when available</span>
+                </label>
+                <button id="settings-reset-factors" class="text-xs text-blue-600 hover:text-blue-800 font-medium">Reset factors to defaults</button>
+            </section>
+        </div>
+    `;
+
+    const buttons = `
+        <button id="settings-cancel" class="px-4 py-2 text-gray-600 hover:text-gray-900 text-sm font-medium transition-colors">
+            Cancel
+        </button>
+        <button id="settings-save" class="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg text-sm font-medium transition-all duration-200">
+            Save Settings
+        </button>
+    `;
+
+    const popup = createPopup('Settings', content, buttons);
+    popup.firstElementChild.classList.replace('max-w-md', 'max-w-xl');
+    popup.firstElementChild.classList.add('w-full');
+
+    const closePanel = () => {
+        if (popup.parentNode) {
+            document.body.removeChild(popup);
+        }
+    };
+
+    popup.querySelector('#settings-cancel').addEventListener('click', closePanel);
+    popup.querySelector('#settings-reset-factors').addEventListener('click', () => {
+        popup.querySelectorAll('input[data-factor-mode]').forEach(input => {
+            const mode = input.dataset.factorMode;
+            input.value = input.dataset.factorSubmode ? '' : (DEFAULT_MODE_FACTORS[mode] ?? '');
+        });
+    });
+    popup.querySelector('#settings-save').addEventListener('click', () => {
+        const costPerDelayDay = parseFloat(popup.querySelector('#settings-cost-per-delay-day').value);
+        savingsSettings.costPerDelayDay = isNaN(costPerDelayDay) || costPerDelayDay < 0 ? COST_PER_DELAY_DAY : costPerDelayDay;
+        savingsSettings.includeSurcharges = popup.querySelector('#settings-include-surcharges').checked;
+        savingsSettings.includeRouteOptimization = popup.querySelector('#settings-include-route-optimization').checked;
+
+        const rates = { mode: {}, segment: {} };
+        popup.querySelectorAll('input[data-rate-group]').forEach(input => {
+            const rate = parseFloat(input.value);
+            if (!isNaN(rate) && rate >= 0) {
+                rates[input.dataset.rateGroup][input.dataset.rateKey] = rate;
+            }
+        });
+        savingsSettings.modeRates = rates.mode;
+        savingsSettings.segmentRates = rates.segment;
+
+        const modeFactors = {};
+        const subModeFactors = {};
+        popup.querySelectorAll('input[data-factor-mode]').forEach(input => {
+            const factor = parseFloat(input.value);
+            if (isNaN(factor) || factor < 0) {
+                return;
+            }
+            const mode = input.dataset.factorMode;
+            if (input.dataset.factorSubmode) {
+                subModeFactors[mode] = subModeFactors[mode] || {};
+                subModeFactors[mode][input.dataset.factorSubmode] = factor;
+            } else {
+                modeFactors[mode] = factor;
+            }
+        });
+        emissionSettings.modeFactors = modeFactors;
+        emissionSettings.subModeFactors = subModeFactors;
+        // The fallback must point at a mode that still has a factor
+        const fallbackMode = popup.querySelector('#settings-fallback-mode').value;
+        emissionSettings.fallbackMode = modeFactors[fallbackMode] !== undefined ? fallbackMode : (Object.keys(modeFactors)[0] || 'Road');
+        const defaultWeight = parseFloat(popup.querySelector('#settings-default-weight').value);
+        emissionSettings.defaultWeightKg = defaultWeight > 0 ? defaultWeight : 1000;
+        emissionSettings.preferReported = popup.querySelector('#settings-prefer-reported').checked;
+
+        saveSettings();
+        closePanel();
+
+        if (loadedRows.length > 0) {
+            applyFilters();
+        }
+    });
+}
+
+// ---- Chart drill-down ----
+// Filter states to step back to, most recent last ({ label, filters, param, applied } per drill-down)
+// `param` is the step as written in the URL's drill path: the filter key, or "period:<label>"
+// `applied` holds the filter values the step set, so a step whose filter was changed by hand can be dropped
+const drillHistory = [];
+
+// Helper function to build Chart.js click/hover options for a drillable chart
+function drillDownOptions(onSelect) {
+    return {
+        onClick: (event, elements) => {
+            if (elements.length > 0) {
+                onSelect(elements[0].index);
+            }
+        },
+        onHover: (event, elements) => {
+            event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+        }
+    };
+}
+
+// Function to apply a chart selection as a dashboard filter, remembering where we came from
+function drillDown(key, value) {
+    const filterValue = String(value);
+    if (activeFilters[key] === filterValue) {
+        return;
+    }
+    drillHistory.push({ label: `${FILTER_LABELS[key]}: ${formatFilterValue(key, filterValue)}`, filters: { ...activeFilters }, param: key, applied: { [key]: filterValue } });
+    setFilter(key, filterValue);
+}
+
+// Function to narrow the date filter to a chart period, remembering where we came from
+function drillDownToDateRange(startDate, endDate, label) {
+    // While comparing periods the date filter is ignored, so a period drill-down would change nothing
+    if (comparisonReplacesDates() || (activeFilters.startDate === startDate && activeFilters.endDate === endDate)) {
+        return;
+    }
+    drillHistory.push({ label: `Period: ${label}`, filters: { ...activeFilters }, param: `period:${label}`, applied: { startDate, endDate } });
+    activeFilters.startDate = startDate;
+    activeFilters.endDate = endDate;
+    syncFilterControls();
+    applyFilters();
+}
+
+// Function to drop drill-down steps whose filter no longer holds the value the step set
+// Filters changed by hand are also carried into the remaining steps, so stepping back does not bring them back
+function pruneDrillHistory() {
+    const stale = drillHistory.filter(entry => Object.entries(entry.applied).some(([key, value]) => activeFilters[key] !== value));
+    if (stale.length === 0) {
+        return;
+    }
+    const changedKeys = stale.flatMap(entry => Object.keys(entry.applied));
+    const kept = drillHistory.filter(entry => !stale.includes(entry));
+    kept.forEach(entry => changedKeys.forEach(key => {
+        entry.filters[key] = activeFilters[key];
+    }));
+    drillHistory.length = 0;
+    drillHistory.push(...kept);
+}
+
+// Function to step back to the filter state before drill-down number `index`
+function drillUpTo(index) {
+    const entry = drillHistory[index];
+    if (!entry) {
+        return;
+    }
+    drillHistory.splice(index);
+    Object.assign(activeFilters, entry.filters);
+    syncFilterControls();
+    applyFilters();
+}
+
+// Function to render the drill-down breadcrumbs above the charts
+function renderDrillBreadcrumbs() {
+    const container = document.getElementById('drilldown-breadcrumbs');
+    if (!container) {
+        return;
+    }
+
+    if (drillHistory.length === 0) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    // Crumb i steps back to the state before drill-down i; the last crumb is the current view
+    const crumbs = ['All shipments', ...drillHistory.map(entry => entry.label)];
+    container.innerHTML = `
+        <span class="text-white/70">Drill-down:</span>
+        ${crumbs.map((label, index) => index < crumbs.length - 1
+            ? `<button data-drill-index="${index}" class="text-white hover:underline">${escapeHtml(label)}</button><span class="text-white/50">›</span>`
+            : `<span class="text-white font-semibold">${escapeHtml(label)}</span>`
+        ).join('')}
+        <button data-drill-index="${drillHistory.length - 1}" class="ml-auto bg-white/20 hover:bg-white/30 text-white px-3 py-1 rounded-lg text-xs font-medium border border-white/30">← Back</button>
+    `;
+    container.classList.remove('hidden');
+
+    container.querySelectorAll('button[data-drill-index]').forEach(button => {
+        button.addEventListener('click', () => drillUpTo(parseInt(button.dataset.drillIndex, 10)));
+    });
+}
+
+// Scatter box selection state; `rows` narrows the data table when set
+const scatterBoxSelect = {
+    rows: null,
+    justSelected: false
+};
+
+// Function to enable drag-to-select on a scatter chart
+function setupScatterBoxSelect(chartId, points) {
+    const chart = window[chartId + 'Chart'];
+    const container = document.getElementById('chart-' + chartId);
+    if (!chart || !container) {
+        return;
+    }
+
+    const canvas = chart.canvas;
+    container.classList.add('relative');
+    const box = document.createElement('div');
+    box.className = 'absolute border-2 border-blue-500 bg-blue-500/10 pointer-events-none hidden';
+    container.appendChild(box);
+
+    let start = null;
+    let current = null;
+
+    const updateBox = () => {
+        Object.assign(box.style, {
+            left: `${canvas.offsetLeft + Math.min(start.x, current.x)}px`,
+            top: `${canvas.offsetTop + Math.min(start.y, current.y)}px`,
+            width: `${Math.abs(current.x - start.x)}px`,
+            height: `${Math.abs(current.y - start.y)}px`
+        });
+    };
+
+    canvas.addEventListener('mousedown', (e) => {
+        start = { x: e.offsetX, y: e.offsetY };
+        current = start;
+    });
+
+    canvas.addEventListener('mousemove', (e) => {
+        if (!start) return;
+        current = { x: e.offsetX, y: e.offsetY };
+        box.classList.remove('hidden');
+        updateBox();
+    });
+
+    // Dragging out of the chart ends the selection at its edge, so a release outside never leaves a drag pending
+    const finishSelection = (e) => {
+        if (!start) return;
+        const from = start;
+        start = null;
+        const dragged = Math.abs(current.x - from.x) > 5 || Math.abs(current.y - from.y) > 5;
+        box.classList.add('hidden');
+
+        if (dragged) {
+            const xValues = [from.x, current.x].map(x => chart.scales.x.getValueForPixel(x));
+            const yValues = [from.y, current.y].map(y => chart.scales.y.getValueForPixel(y));
+            const [minX, maxX] = [Math.min(...xValues), Math.max(...xValues)];
+            const [minY, maxY] = [Math.min(...yValues), Math.max(...yValues)];
+            const selected = points.filter(point => point.x >= minX && point.x <= maxX && point.y >= minY && point.y <= maxY);
+
+            // Only a release over the canvas is followed by a click that must be ignored
+            scatterBoxSelect.justSelected = e.type === 'mouseup';
+            setScatterSelection(chartId, points, selected.map(point => point.row));
+        }
+    };
+
+    canvas.addEventListener('mouseup', finishSelection);
+    canvas.addEventListener('mouseleave', finishSelection);
+}
+
+// Helper function to get a scatter point's fill: anomalies stay red, a selection only changes the alpha
+function getScatterPointColor(point, selected) {
+    const alpha = !selected ? (point.anomaly ? 0.85 : 0.7) : selected.has(point.row) ? 0.9 : 0.15;
+    return point.anomaly ? `rgba(220, 38, 38, ${alpha})` : `rgba(30, 58, 138, ${alpha})`;
+}
+
+// Function to highlight selected scatter points and narrow the data table to them
+function setScatterSelection(chartId, points, rows) {
+    const chart = window[chartId + 'Chart'];
+    scatterBoxSelect.rows = rows && rows.length > 0 ? rows : null;
+
+    if (chart) {
+        const selected = scatterBoxSelect.rows ? new Set(scatterBoxSelect.rows) : null;
+        chart.data.datasets[0].backgroundColor = points.map(point => getScatterPointColor(point, selected));
+        chart.update();
+    }
+
+    if (dataTable) {
+        dataTable.page = 0;
+        renderDataTableSelection();
+        renderDataTableBody();
+    }
+}
+
+// ---- Shipment detail drawer ----
+// Helper function to render a shipment ID that opens the detail drawer when clicked
+function shipmentLink(shipmentId) {
+    if (isEmptyCell(shipmentId) || shipmentId === '-') {
+        return '-';
+    }
+    return `<button data-shipment-id="${escapeHtml(shipmentId)}" class="text-blue-600 hover:text-blue-800 hover:underline font-medium">${escapeHtml(shipmentId)}</button>`;
+}
+
+// Helper function to find a loaded shipment by its ID
+function findShipmentById(shipmentId) {
+    return loadedRows.find(row => String(getShipmentId(row)) === String(shipmentId)) || null;
+}
+
+// Helper function to render a label/value grid for the drawer
+function renderDetailGrid(items) {
+    return `
+        <dl class="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">
+            ${items.map(([label, value]) => `
+                <dt class="text-gray-600">${label}</dt>
+                <dd class="text-gray-900 font-medium text-right">${value}</dd>
+            `).join('')}
+        </dl>
+    `;
+}
+
+// Helper function to format a yes/no flag, highlighting the bad case
+function formatFlag(value, badWhen) {
+    const flag = parseFlag(value);
+    if (flag === null) {
+        return '-';
+    }
+    const color = flag === badWhen ? 'text-red-600' : 'text-green-600';
+    return `<span class="${color}">${flag ? 'Yes' : 'No'}</span>`;
+}
+
+// Function to build the timeline of a shipment's dates in chronological order
+function getShipmentTimeline(row) {
+    const eta = getDeliveryDate(row);
+    const delayDays = getDelayDays(row);
+
+    const events = [
+        { label: 'Booked', date: parseDateValue(row.booking_date) },
+        { label: 'Docs submitted', date: getDocsSubmittedDate(row) },
+        { label: 'Shipped', date: getShipmentDate(row) },
+        { label: 'Picked up', date: parseDateValue(row.pickup_date) },
+        { label: 'ETA', date: eta },
+        { label: 'Delivered (ETA + delay)', date: delayDays > 0 ? getActualDeliveryDate(row) : null },
+        { label: 'Paid', date: getPaymentDate(row) }
+    ];
+
+    return events
+        .filter(event => event.date)
+        .sort((a, b) => a.date.valueOf() - b.date.valueOf());
+}
+
+// Function to open the detail drawer for a shipment
+function openShipmentDrawer(shipmentId) {
+    const row = findShipmentById(shipmentId);
+    const drawer = document.getElementById('shipment-drawer');
+    const content = document.getElementById('shipment-drawer-content');
+    if (!drawer || !content) {
+        return;
+    }
+
+    document.getElementById('shipment-drawer-title').textContent = `Shipment ${shipmentId}`;
+
+    if (!row) {
+        content.innerHTML = `<p class="text-sm text-gray-600">Shipment ${escapeHtml(shipmentId)} is not in the loaded dataset.</p>`;
+        drawer.classList.remove('hidden');
+        return;
+    }
+
+    const delayDays = getDelayDays(row);
+    const predictedDelay = getPredictedDelayDays(row);
+    const cost = getCost(row);
+    const surcharge = getSurcharge(row);
+    const timeline = getShipmentTimeline(row);
+    const emissions = estimateEmissions(row);
+    const statusBadge = delayDays > 0
+        ? `<span class="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-700">Late by ${delayDays} d</span>`
+        : '<span class="px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-700">On time</span>';
+    const sectionTitle = (title) => `<h4 class="text-sm font-semibold text-gray-900 mb-3">${title}</h4>`;
+
+    content.innerHTML = `
+        <section>
+            <div class="flex items-center justify-between mb-2">
+                <p class="text-sm text-gray-900 font-medium">${escapeHtml(getOrigin(row))} → ${escapeHtml(getDestination(row))}</p>
+                ${statusBadge}
+            </div>
+            <p class="text-sm text-gray-600">${escapeHtml(getCarrier(row))} · ${escapeHtml(getTransportMode(row))} · ${escapeHtml(getRiskLevel(row))} risk</p>
+        </section>
+
+        <section>
+            ${sectionTitle('Timeline')}
+            ${timeline.length > 0 ? `
+                <ol class="relative border-l border-gray-200 ml-2">
+                    ${timeline.map(event => `
+                        <li class="mb-3 ml-4">
+                            <div class="absolute w-2.5 h-2.5 bg-blue-600 rounded-full -left-[5px] mt-1.5"></div>
+                            <p class="text-sm text-gray-900 font-medium">${event.label}</p>
+                            <p class="text-xs text-gray-600">${event.date.format('YYYY-MM-DD')}</p>
+                        </li>
+                    `).join('')}
+                </ol>
+            ` : '<p class="text-sm text-gray-600">No dates recorded for this shipment.</p>'}
+        </section>
+
+        <section>
+            ${sectionTitle('Cost')}
+            ${renderDetailGrid([
+                ['Freight cost', `$${cost.toLocaleString()}`],
+                ['Surcharge', `$${surcharge.toLocaleString()}`],
+                ['Total', `$${(cost + surcharge).toLocaleString(undefined, { maximumFractionDigits: 2 })}`],
+                ['Declared value', escapeHtml(formatCellValue('declared_value_usd', row.declared_value_usd))],
+                ['Invoice status', escapeHtml(formatCellValue('invoice_status', row.invoice_status))]
+            ])}
+        </section>
+
+        <section>
+            ${sectionTitle('Delay')}
+            ${renderDetailGrid([
+                ['Predicted delay', `${predictedDelay} d`],
+                ['Actual delay', `${delayDays} d`],
+                ['Difference', `${delayDays - predictedDelay > 0 ? '+' : ''}${delayDays - predictedDelay} d`],
+                ['Reason', escapeHtml(getDelayReason(row) || '-')]
+            ])}
+        </section>
+
+        <section>
+            ${sectionTitle('Emissions')}
+            ${renderDetailGrid([
+                ['CO₂', `${emissions.kg.toLocaleString(undefined, { maximumFractionDigits: 2 })} kg`],
+                ['Source', emissions.method === 'reported' ? 'Reported' : (emissions.method === 'estimated' ? 'Estimated' : 'Not available')],
+                ['Fallbacks used', escapeHtml(emissions.fallbacks.join(', ') || 'None')]
+            ])}
+            <ul class="mt-2 text-xs text-gray-600 list-disc pl-4">
+                ${emissions.notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}
+            </ul>
+        </section>
+
+        <section>
+            ${sectionTitle('Compliance')}
+            ${getSanctionHit(row) ? '<p class="mb-2 px-3 py-2 bg-red-50 border border-red-200 rounded-lg text-sm font-medium text-red-800">Sanction check hit: hold this shipment until compliance clears it.</p>' : ''}
+            ${renderDetailGrid([
+                ['Customs docs complete', formatFlag(row.customs_docs_complete, false)],
+                ['Docs submitted', formatDocsLeadTime(getDocsLeadDays(row))],
+                ['Sanction check hit', formatFlag(row.sanction_check_flag, true)]
+            ])}
+        </section>
+
+        <section>
+            ${sectionTitle('Recommended action')}
+            <p class="text-sm text-gray-900">${escapeHtml(row.recommended_action || '-')}</p>
+        </section>
+
+        <section>
+            ${sectionTitle('Vendor notes')}
+            <p class="text-sm text-gray-900">${escapeHtml(row.vendor_notes || '-')}</p>
+        </section>
+
+        <section>
+            <details>
+                <summary class="text-sm font-semibold text-gray-900 cursor-pointer">Full record</summary>
+                <div class="mt-3">
+                    ${renderDetailGrid(Object.entries(row).map(([col, value]) => [escapeHtml(formatColumnLabel(col)), escapeHtml(formatCellValue(col, value))]))}
+                </div>
+            </details>
+        </section>
+    `;
+
+    drawer.classList.remove('hidden');
+}
+
+// Function to close the detail drawer
+function closeShipmentDrawer() {
+    const drawer = document.getElementById('shipment-drawer');
+    if (drawer) {
+        drawer.classList.add('hidden');
+    }
+}
+
+// Function to wire the drawer: any element with data-shipment-id opens it
+function setupShipmentDrawer() {
+    document.addEventListener('click', (e) => {
+        const trigger = e.target.closest('[data-shipment-id]');
+        if (trigger) {
+            e.preventDefault();
+            openShipmentDrawer(trigger.dataset.shipmentId);
+        }
+    });
+
+    document.getElementById('shipment-drawer-close').addEventListener('click', closeShipmentDrawer);
+    document.getElementById('shipment-drawer-backdrop').addEventListener('click', closeShipmentDrawer);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeShipmentDrawer();
+        }
+    });
+}
+
+// ---- Column mapping ----
+// Canonical fields the dashboard reads, with header names to try in priority order
+const CANONICAL_FIELDS = [
+    { key: 'shipment_id', label: 'Shipment ID', candidates: ['shipment_id', 'shipmentid', 'shipment', 'shipment_no', 'id', 'reference', 'ref', 'booking_reference'] },
+    { key: 'carrier', label: 'Carrier', candidates: ['carrier_name', 'carrier', 'scac', 'forwarder'] },
+    { key: 'mode', label: 'Transport Mode', candidates: ['transport_mode', 'mode', 'modality'] },
+    { key: 'origin', label: 'Origin', candidates: ['origin_city', 'origin_port', 'origin', 'pol', 'from'] },
+    { key: 'destination', label: 'Destination', candidates: ['destination_city', 'destination_port', 'destination', 'pod', 'to'] },
+    { key: 'shipment_date', label: 'Shipment Date', candidates: ['shipment_date', 'ship_date', 'departure_date', 'date'] },
+    { key: 'delivery_date', label: 'Delivery Date (ETA)', candidates: ['estimated_delivery_date', 'delivery_date', 'eta', 'arrival_date'] },
+    { key: 'cost', label: 'Cost (USD)', candidates: ['cost_usd', 'cost', 'freight_cost', 'total_cost', 'amount'] },
+    { key: 'distance', label: 'Distance (km)', candidates: ['route_distance_km', 'distance_km', 'distance'] },
+    { key: 'delay', label: 'Delay (days)', candidates: ['actual_delay_days', 'delay_days', 'delay'] },
+    { key: 'predicted_delay', label: 'Predicted Delay (days)', candidates: ['predicted_delay_days', 'predicted_delay', 'forecast_delay_days', 'expected_delay_days'] },
+    { key: 'transit_time', label: 'Transit Time (days)', candidates: ['transit_time_days', 'transit_days', 'transit_time'] },
+    { key: 'risk', label: 'Risk', candidates: ['risk_level', 'risk', 'ai_risk_score', 'risk_score'] },
+    { key: 'weight', label: 'Weight (kg)', candidates: ['weight_kg', 'gross_weight', 'weight'] },
+    { key: 'emissions', label: 'Emissions (kg CO₂)', candidates: ['carbon_emissions_kg', 'emissions_kg', 'co2_kg', 'emissions', 'co2'] }
+];
+
+// Legacy localStorage key for mappings saved per header signature (now kept in IndexedDB)
+const COLUMN_MAPPING_STORAGE_KEY = 'derya-column-mappings';
+
+// Helper function to normalize a header for comparison ("Origin Port" -> "originport")
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Helper function to collect every header present in the rows
+function getColumnHeaders(rows) {
+    const headers = new Set();
+    rows.forEach(row => {
+        Object.keys(row).forEach(key => headers.add(key));
+    });
+    return Array.from(headers);
+}
+
+// Helper function to identify a spreadsheet layout by its headers
+function getHeaderSignature(headers) {
+    return headers.map(normalizeHeader).sort().join('|');
+}
+
+// Function to guess the column for each canonical field
+function detectColumnMapping(headers) {
+    const mapping = {};
+    const usedHeaders = new Set();
+    const normalized = headers.map(header => ({ header, key: normalizeHeader(header) }));
+
+    CANONICAL_FIELDS.forEach(field => {
+        const candidates = field.candidates.map(normalizeHeader);
+
+        // Exact matches first, in candidate priority order
+        let match = null;
+        for (const candidate of candidates) {
+            match = normalized.find(item => item.key === candidate && !usedHeaders.has(item.header));
+            if (match) break;
+        }
+
+        // Then headers containing a candidate (short candidates like "to" would match too much)
+        if (!match) {
+            for (const candidate of candidates.filter(candidate => candidate.length >= 4)) {
+                match = normalized.find(item => item.key.includes(candidate) && !usedHeaders.has(item.header));
+                if (match) break;
+            }
+        }
+
+        if (match) {
+            mapping[field.key] = match.header;
+            usedHeaders.add(match.header);
+        }
+    });
+
+    return mapping;
+}
+
+// Helper functions to read and write saved mappings
+// Saved mappings, read from the local database at startup
+let savedColumnMappings = {};
+
+// Function to restore saved column mappings (falling back to the legacy localStorage copy)
+async function loadColumnMappings() {
+    try {
+        savedColumnMappings = (await localDbGet(STATE_STORE, 'columnMappings')) || JSON.parse(localStorage.getItem(COLUMN_MAPPING_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Could not read saved column mappings:', error);
+        savedColumnMappings = {};
+    }
+}
+
+function loadSavedMappings() {
+    return savedColumnMappings;
+}
+
+function saveColumnMapping(signature, mapping) {
+    savedColumnMappings[signature] = mapping;
+    localDbPut(STATE_STORE, savedColumnMappings, 'columnMappings')
+        .catch(error => console.warn('Could not save column mapping:', error));
+}
+
+// Function to show the column mapping wizard; resolves with the confirmed mapping
+function showColumnMappingWizard(headers, mapping, sourceName) {
+    return new Promise(resolve => {
+        const selectClass = 'w-full bg-gray-50 border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+        const content = `
+            <p class="text-sm text-gray-700 mb-4">
+                Confirm which column in <span class="font-medium">${escapeHtml(sourceName)}</span> holds each field.
+                Your choice is remembered for files with the same headers.
+            </p>
+            <div class="max-h-96 overflow-y-auto pr-1">
+                <table class="min-w-full text-sm">
+                    <tbody>
+                        ${CANONICAL_FIELDS.map(field => `
+                            <tr class="border-t border-gray-200">
+                                <td class="py-2 pr-3 text-gray-900 font-medium whitespace-nowrap">${field.label}</td>
+                                <td class="py-2">
+                                    <select data-field="${field.key}" class="${selectClass}">
+                                        <option value="">— Not in file —</option>
+                                        ${headers.map(header => `<option value="${escapeHtml(header)}">${escapeHtml(header)}</option>`).join('')}
+                                    </select>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        const buttons = `
+            <button id="mapping-reset" class="px-4 py-2 text-gray-600 hover:text-gray-900 text-sm font-medium transition-colors">
+                Reset to detected
+            </button>
+            <button id="mapping-apply" class="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg text-sm font-medium transition-all duration-200">
+                Apply Mapping
+            </button>
+        `;
+
+        const popup = createPopup('Map Your Columns', content, buttons);
+        popup.firstElementChild.classList.replace('max-w-md', 'max-w-xl');
+        popup.firstElementChild.classList.add('w-full');
+
+        const selects = popup.querySelectorAll('select[data-field]');
+        const fillSelects = (values) => {
+            selects.forEach(select => {
+                select.value = values[select.dataset.field] || '';
+            });
+        };
+        fillSelects(mapping);
+
+        const detected = detectColumnMapping(headers);
+        popup.querySelector('#mapping-reset').addEventListener('click', () => fillSelects(detected));
+
+        // Escape (handled by createPopup) keeps the mapping the wizard opened with
+        let resolved = false;
+        const finish = (result) => {
+            if (resolved) return;
+            resolved = true;
+            document.removeEventListener('keydown', handleEscape);
+            if (popup.parentNode) {
+                document.body.removeChild(popup);
+            }
+            resolve(result);
+        };
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') {
+                finish({ mapping, confirmed: false });
+            }
+        };
+        document.addEventListener('keydown', handleEscape);
+
+        popup.querySelector('#mapping-apply').addEventListener('click', () => {
+            // Fields left on "Not in file" are kept as '' so they are not guessed later
+            const confirmed = {};
+            selects.forEach(select => {
+                confirmed[select.dataset.field] = select.value;
+            });
+            finish({ mapping: confirmed, confirmed: true });
+        });
+    });
+}
+
+// Function to work out the column mapping for freshly parsed rows
+// Saved mappings for the same header signature are applied without asking
+async function resolveColumnMapping(rows, sourceName, { interactive = true } = {}) {
+    const headers = getColumnHeaders(rows);
+    const signature = getHeaderSignature(headers);
+
+    const savedMapping = loadSavedMappings()[signature];
+    if (savedMapping) {
+        console.log('Applying saved column mapping:', savedMapping);
+        return savedMapping;
+    }
+
+    const detectedMapping = detectColumnMapping(headers);
+    if (!interactive) {
+        return detectedMapping;
+    }
+
+    const result = await showColumnMappingWizard(headers, detectedMapping, sourceName);
+    if (result.confirmed) {
+        saveColumnMapping(signature, result.mapping);
+    }
+    return result.mapping;
+}
+
+// Function to reopen the wizard for the loaded dataset and re-render with the new mapping
+async function editColumnMapping() {
+    if (loadedRows.length === 0) {
+        return;
+    }
+
+    const headers = getColumnHeaders(loadedRows);
+    const result = await showColumnMappingWizard(headers, columnMapping || detectColumnMapping(headers), loadedSourceName);
+    if (!result.confirmed) {
+        return;
+    }
+
+    columnMapping = result.mapping;
+    saveColumnMapping(getHeaderSignature(headers), columnMapping);
+
+    // Required and numeric checks follow the mapped columns
+    runDataQualityCheck();
+
+    // Filter options depend on the mapped columns
+    resetFilters();
+    populateFilterOptions(loadedRows);
+    applyFilters();
+}
+
+// ---- Data quality ----
+// Canonical fields every shipment needs for the KPIs to mean anything
+const DATA_QUALITY_REQUIRED_FIELDS = ['shipment_id', 'carrier', 'mode', 'shipment_date', 'cost'];
+
+// Columns that must hold numbers: canonical fields (through the mapping) and raw columns
+const DATA_QUALITY_NUMERIC_FIELDS = ['cost', 'distance', 'delay', 'predicted_delay', 'transit_time', 'weight', 'emissions'];
+const DATA_QUALITY_NUMERIC_COLUMNS = ['surcharge_usd', 'declared_value_usd', 'container_count', 'volume_m3'];
+
+// Quantities that can never be negative
+const DATA_QUALITY_NON_NEGATIVE_FIELDS = ['distance', 'weight'];
+
+// Columns that must hold dates
+const DATA_QUALITY_DATE_FIELDS = ['shipment_date', 'delivery_date'];
+const DATA_QUALITY_DATE_COLUMNS = ['booking_date', 'pickup_date', 'docs_submitted_date', 'payment_date'];
+
+// Date pairs that must be in order (the later date may not fall on an earlier day)
+const DATA_QUALITY_DATE_ORDER = [
+    { earlier: getBookingDate, later: getShipmentDate, label: 'shipment date before booking date' },
+    { earlier: getShipmentDate, later: getDeliveryDate, label: 'ETA before shipment date' },
+    { earlier: getPickupDate, later: getDeliveryDate, label: 'ETA before pickup date' }
+];
+
+// Row references listed per issue type before the list is cut off
+const DATA_QUALITY_MAX_REFERENCES = 50;
+
+// Latest validation report and whether rows with issues are left out of the dashboard
+const dataQuality = {
+    report: null,
+    excludeBadRows: false
+};
+
+// Helper function to find the column a canonical field is read from (null when the data has none)
+function getDataQualityColumn(rows, field) {
+    if (columnMapping && columnMapping[field] !== undefined) {
+        return columnMapping[field] || null;
+    }
+    const headers = getColumnHeaders(rows);
+    const candidate = CANONICAL_FIELDS.find(f => f.key === field).candidates.find(c => headers.includes(c));
+    return candidate || null;
+}
+
+// Helper function to set a row's spreadsheet position the way SheetJS does (non-enumerable, 0-based __rowNum__)
+function setSourceRowNumber(row, rowNum) {
+    if (rowNum !== undefined && rowNum !== null) {
+        Object.defineProperty(row, '__rowNum__', { value: rowNum, configurable: true });
+    }
+    return row;
+}
+
+// Helper function to describe where a row sits in the source file ("Row 12", "Feb · Row 12" for appended sheets)
+// JSON input has no rows, so its records are counted instead ("record 3")
+function getSourceRowLabel(row, index) {
+    if (row.__rowNum__ === undefined) {
+        return `record ${index + 1}`;
+    }
+    return row.source_sheet ? `${row.source_sheet} · Row ${row.__rowNum__ + 1}` : `Row ${row.__rowNum__ + 1}`;
+}
+
+// Function to validate parsed rows and group the problems by type
+// Spreadsheet rows are numbered as in the sheet, so blank rows the parser skipped still count
+function validateRows(rows) {
+    const headers = getColumnHeaders(rows);
+    const columnFor = field => getDataQualityColumn(rows, field);
+    const issues = {
+        missing: { label: 'Missing required values', entries: [] },
+        nonNumeric: { label: 'Non-numeric values', entries: [] },
+        negative: { label: 'Negative distances or weights', entries: [] },
+        badDate: { label: 'Unparseable dates', entries: [] },
+        duplicate: { label: 'Duplicate shipment IDs', entries: [] },
+        dateOrder: { label: 'Dates out of order', entries: [] }
+    };
+    const badRows = new Set();
+
+    const requiredColumns = DATA_QUALITY_REQUIRED_FIELDS.map(columnFor).filter(Boolean);
+    const numericColumns = Array.from(new Set([
+        ...DATA_QUALITY_NUMERIC_FIELDS.map(columnFor).filter(Boolean),
+        ...DATA_QUALITY_NUMERIC_COLUMNS.filter(column => headers.includes(column))
+    ]));
+    const nonNegativeColumns = DATA_QUALITY_NON_NEGATIVE_FIELDS.map(columnFor).filter(Boolean);
+    const dateColumns = Array.from(new Set([
+        ...DATA_QUALITY_DATE_FIELDS.map(columnFor).filter(Boolean),
+        ...DATA_QUALITY_DATE_COLUMNS.filter(column => headers.includes(column))
+    ]));
+    const idColumn = columnFor('shipment_id');
+    const seenIds = new Map();
+
+    rows.forEach((row, index) => {
+        const location = getSourceRowLabel(row, index);
+        const shipmentId = getShipmentId(row);
+        const flag = (type, column, value, detail = '') => {
+            issues[type].entries.push({ row, location, shipmentId, column, value, detail });
+            badRows.add(row);
+        };
+
+        requiredColumns.forEach(column => {
+            if (isEmptyCell(row[column]) || String(row[column]).trim() === '') {
+                flag('missing', column, row[column]);
+            }
+        });
+
+        numericColumns.forEach(column => {
+            const value = row[column];
+            if (isEmptyCell(value) || typeof value === 'boolean') {
+                return;
+            }
+            if (String(value).trim() === '' || isNaN(Number(value))) {
+                flag('nonNumeric', column, value);
+            } else if (nonNegativeColumns.includes(column) && Number(value) < 0) {
+                flag('negative', column, value);
+            }
+        });
+
+        dateColumns.forEach(column => {
+            if (!isEmptyCell(row[column]) && !parseDateValue(row[column])) {
+                flag('badDate', column, row[column]);
+            }
+        });
+
+        if (idColumn && !isEmptyCell(row[idColumn])) {
+            const id = String(row[idColumn]).trim();
+            if (seenIds.has(id)) {
+                flag('duplicate', idColumn, row[idColumn], `first seen in ${seenIds.get(id)}`);
+            } else {
+                seenIds.set(id, location);
+            }
+        }
+
+        DATA_QUALITY_DATE_ORDER.forEach(rule => {
+            const earlier = rule.earlier(row);
+            const later = rule.later(row);
+            if (earlier && later && later.isBefore(earlier, 'day')) {
+                flag('dateOrder', '', '', `${rule.label} (${earlier.format('YYYY-MM-DD')} → ${later.format('YYYY-MM-DD')})`);
+            }
+        });
+    });
+
+    return {
+        rowCount: rows.length,
+        badRows,
+        issues: Object.entries(issues)
+            .filter(([, issue]) => issue.entries.length > 0)
+            .map(([type, issue]) => ({ type, ...issue, rowCount: new Set(issue.entries.map(entry => entry.row)).size }))
+    };
+}
+
+// Function to get the rows the dashboard works on: the loaded dataset, minus bad rows when excluded
+function getDashboardRows() {
+    const report = dataQuality.report;
+    if (!dataQuality.excludeBadRows || !report || report.badRows.size === 0) {
+        return loadedRows;
+    }
+    return loadedRows.filter(row => !report.badRows.has(row));
+}
+
+// Helper function to describe one flagged cell ("Row 12 · SHP200010 · cost_usd: "abc"")
+function formatDataQualityEntry(entry) {
+    const parts = [escapeHtml(entry.location), shipmentLink(entry.shipmentId)];
+    if (entry.column) {
+        parts.push(`${escapeHtml(entry.column)}: ${isEmptyCell(entry.value) ? '<em>empty</em>' : `"${escapeHtml(entry.value)}"`}`);
+    }
+    if (entry.detail) {
+        parts.push(escapeHtml(entry.detail));
+    }
+    return parts.join(' · ');
+}
+
+// Function to render the data quality report card
+function renderDataQualityReport() {
+    const container = document.getElementById('data-quality');
+    if (!container) {
+        return;
+    }
+
+    const report = dataQuality.report;
+    if (!report || report.badRows.size === 0) {
+        container.innerHTML = report
+            ? `<p class="text-xs text-gray-500">✓ Data quality check passed: no issues found in ${report.rowCount} rows.</p>`
+            : '';
+        container.classList.toggle('hidden', !report);
+        return;
+    }
+
+    const badCount = report.badRows.size;
+    const modeButton = (exclude, label) => `
+        <button data-quality-exclude="${exclude}" class="px-3 py-1.5 text-xs font-medium rounded-lg border transition-colors ${dataQuality.excludeBadRows === exclude ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'}">${label}</button>
+    `;
+
+    container.innerHTML = `
+        <div class="bg-white backdrop-blur-md rounded-xl shadow-lg border border-amber-300 p-6">
+            <div class="flex flex-wrap items-start justify-between gap-4 mb-4">
+                <div>
+                    <h2 class="text-lg font-semibold text-gray-900">Data quality</h2>
+                    <p class="text-sm text-gray-600">${badCount} of ${report.rowCount} rows have ${badCount === 1 ? 'an issue' : 'issues'}. Row numbers refer to the source file.</p>
                 </div>
-            `;
+                <div class="flex items-center gap-2">
+                    ${modeButton(false, 'Keep with warning')}
+                    ${modeButton(true, 'Exclude bad rows')}
+                </div>
+            </div>
+            <div class="space-y-2">
+                ${report.issues.map(issue => `
+                    <details class="border border-gray-200 rounded-lg px-4 py-2">
+                        <summary class="text-sm font-medium text-gray-900 cursor-pointer">${escapeHtml(issue.label)} <span class="text-gray-500 font-normal">· ${issue.rowCount} row${issue.rowCount === 1 ? '' : 's'}</span></summary>
+                        <ul class="mt-2 space-y-1 text-xs text-gray-700">
+                            ${issue.entries.slice(0, DATA_QUALITY_MAX_REFERENCES).map(entry => `<li>${formatDataQualityEntry(entry)}</li>`).join('')}
+                        </ul>
+                        ${issue.entries.length > DATA_QUALITY_MAX_REFERENCES ? `<p class="text-xs text-gray-500 mt-1">…and ${issue.entries.length - DATA_QUALITY_MAX_REFERENCES} more</p>` : ''}
+                    </details>
+                `).join('')}
+            </div>
+        </div>
+    `;
+    container.classList.remove('hidden');
+
+    container.querySelectorAll('button[data-quality-exclude]').forEach(button => {
+        button.addEventListener('click', () => setExcludeBadRows(button.dataset.qualityExclude === 'true'));
+    });
+}
+
+// Function to render the warning badge above the KPIs
+function renderDataQualityBadge() {
+    const badge = document.getElementById('kpi-quality-badge');
+    if (!badge) {
+        return;
+    }
+
+    const report = dataQuality.report;
+    const badCount = report ? report.badRows.size : 0;
+    if (badCount === 0) {
+        badge.classList.add('hidden');
+        badge.innerHTML = '';
+        return;
+    }
+
+    badge.innerHTML = dataQuality.excludeBadRows
+        ? `<span class="inline-flex items-center bg-gray-100 border border-gray-200 text-gray-700 text-xs font-medium rounded-full px-3 py-1">${badCount} row${badCount === 1 ? '' : 's'} with data issues excluded from the dashboard</span>`
+        : `<span class="inline-flex items-center bg-amber-50 border border-amber-300 text-amber-800 text-xs font-medium rounded-full px-3 py-1">⚠ KPIs include ${badCount} row${badCount === 1 ? '' : 's'} with data issues</span>`;
+    badge.innerHTML += ` <button id="kpi-quality-review" class="text-xs text-blue-600 hover:text-blue-800 font-medium transition-colors ml-2">Review</button>`;
+    badge.classList.remove('hidden');
+
+    document.getElementById('kpi-quality-review').addEventListener('click', () => {
+        const card = document.getElementById('data-quality');
+        if (card) {
+            card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    });
+}
+
+// Function to validate the loaded dataset and show the report
+function runDataQualityCheck() {
+    dataQuality.report = loadedRows.length > 0 ? validateRows(loadedRows) : null;
+    if (dataQuality.report) {
+        console.log(`Data quality: ${dataQuality.report.badRows.size} of ${dataQuality.report.rowCount} rows have issues`, dataQuality.report.issues.map(issue => `${issue.label}: ${issue.rowCount}`));
+    }
+    renderDataQualityReport();
+    renderDataQualityBadge();
+}
+
+// Function to switch between keeping bad rows (with a warning) and excluding them
+function setExcludeBadRows(exclude) {
+    dataQuality.excludeBadRows = exclude;
+    renderDataQualityReport();
+    renderDataQualityBadge();
+    applyFilters();
+}
+
+// ---- Comparison mode ----
+// Baseline (A) vs current (B): two date windows of the loaded data, or the loaded file against another one
+const comparison = {
+    active: false,
+    source: 'period',
+    windows: null, // { baseline: { start, end }, current: { start, end } } as YYYY-MM-DD
+    baselineRows: [],
+    baselineSourceName: '',
+    baselineWarning: ''
+};
+
+// Helper function to check whether the comparison windows currently take over from the date range filter
+function comparisonReplacesDates() {
+    return comparison.active && comparison.source === 'period';
+}
+
+// KPI cards that get a delta line (higherIsBetter null = neither direction is good or bad)
+const COMPARISON_KPIS = [
+    { id: 'kpi-total-shipments', key: 'total', higherIsBetter: null, format: value => Math.round(value).toLocaleString() },
+    { id: 'kpi-on-time', key: 'onTimePct', higherIsBetter: true, format: value => `${value.toFixed(1)}%`, formatDelta: delta => `${delta.toFixed(1)} pts` },
+    { id: 'kpi-avg-delay', key: 'avgDelay', higherIsBetter: false, format: value => `${value.toFixed(1)} days` },
+    { id: 'kpi-savings', key: 'savings', higherIsBetter: null, format: formatUsd },
+    { id: 'kpi-co2', key: 'co2', higherIsBetter: false, format: value => `${Math.round(value).toLocaleString()} kg` }
+];
+
+// Shipments a carrier needs on both sides before its change is called out in the insights
+const COMPARISON_MIN_SHIPMENTS = 3;
+
+// Function to compute the KPI values compared between the two sides (null when not computable)
+function computeComparisonKpis(rows) {
+    const lateRows = rows.filter(row => getDelayDays(row) > 0);
+    return {
+        total: rows.length,
+        onTimePct: rows.length > 0 ? ((rows.length - lateRows.length) / rows.length) * 100 : null,
+        avgDelay: rows.length > 0 ? (lateRows.length > 0 ? lateRows.reduce((sum, row) => sum + getDelayDays(row), 0) / lateRows.length : 0) : null,
+        savings: rows.length > 0 && hasSavingsInputs(rows) ? computeSavingsPotential(rows) : null,
+        co2: rows.length > 0 ? computeModeEmissions(rows).totalEmissions : null,
+        costPerShipment: rows.length > 0 ? rows.reduce((sum, row) => sum + getCost(row), 0) / rows.length : null
+    };
+}
+
+// Helper function to get default windows: the latest month with shipments vs the month before
+function getMonthOverMonthWindows(rows) {
+    const dates = rows.map(getShipmentDate).filter(Boolean);
+    if (dates.length === 0) {
+        return null;
+    }
+    const latest = dates.reduce((max, date) => date.isAfter(max) ? date : max);
+    const currentMonth = latest.startOf('month');
+    const baselineMonth = currentMonth.subtract(1, 'month');
+    return {
+        baseline: { start: baselineMonth.format('YYYY-MM-DD'), end: baselineMonth.endOf('month').format('YYYY-MM-DD') },
+        current: { start: currentMonth.format('YYYY-MM-DD'), end: currentMonth.endOf('month').format('YYYY-MM-DD') }
+    };
+}
+
+// Helper function to label a window ("Aug 2025" for a calendar month, otherwise the date range)
+function formatComparisonWindow(window) {
+    const start = dayjs(window.start);
+    const end = dayjs(window.end);
+    if (start.date() === 1 && end.isSame(start.endOf('month'), 'day')) {
+        return start.format('MMM YYYY');
+    }
+    return `${window.start || '…'} – ${window.end || '…'}`;
+}
+
+// Function to split the data into the baseline and current sides (null when comparison is off or has no baseline)
+// Period windows replace the date range filter; every other filter applies to both sides
+function getComparisonSides(filters = activeFilters) {
+    if (!comparison.active) {
+        return null;
+    }
+
+    if (comparison.source === 'dataset') {
+        if (comparison.baselineRows.length === 0) {
+            return null;
+        }
+        return {
+            baseline: { label: comparison.baselineSourceName, rows: comparison.baselineRows.filter(row => rowMatchesFilters(row, filters)) },
+            current: { label: loadedSourceName, rows: getDashboardRows().filter(row => rowMatchesFilters(row, filters)) }
+        };
+    }
+
+    if (!comparison.windows) {
+        comparison.windows = getMonthOverMonthWindows(getDashboardRows());
+    }
+    if (!comparison.windows) {
+        return null;
+    }
+    const inWindow = window => row => rowMatchesFilters(row, { ...filters, startDate: window.start, endDate: window.end });
+    return {
+        baseline: { label: formatComparisonWindow(comparison.windows.baseline), rows: getDashboardRows().filter(inWindow(comparison.windows.baseline)) },
+        current: { label: formatComparisonWindow(comparison.windows.current), rows: getDashboardRows().filter(inWindow(comparison.windows.current)) }
+    };
+}
+
+// Helper function to format a change with an arrow ("▲2.3 pts", "▼$1,200", "= no change")
+function formatComparisonDelta(delta, formatDelta) {
+    const text = formatDelta(Math.abs(delta));
+    if (parseFloat(text.replace(/[^0-9.]/g, '')) === 0) {
+        return '= no change';
+    }
+    return `${delta > 0 ? '▲' : '▼'}${text}`;
+}
+
+// Function to show under each KPI how it moved from the baseline
+function renderComparisonDeltas(sides) {
+    const baseline = sides && sides.current.rows.length > 0 ? computeComparisonKpis(sides.baseline.rows) : null;
+    const current = baseline ? computeComparisonKpis(sides.current.rows) : null;
+
+    COMPARISON_KPIS.forEach(kpi => {
+        const element = document.getElementById(`${kpi.id}-delta`);
+        if (!element) {
+            return;
+        }
+        element.classList.remove('text-green-600', 'text-red-600', 'text-gray-500');
+        if (!baseline) {
+            element.classList.add('hidden');
+            element.textContent = '';
+            return;
+        }
+
+        const before = baseline[kpi.key];
+        const after = current[kpi.key];
+        element.classList.remove('hidden');
+        if (before === null || after === null) {
+            element.textContent = `n/a vs ${sides.baseline.label}`;
+            element.title = '';
+            element.classList.add('text-gray-500');
+            return;
+        }
+
+        const delta = after - before;
+        const deltaText = formatComparisonDelta(delta, kpi.formatDelta || kpi.format);
+        const improved = kpi.higherIsBetter === null || deltaText.startsWith('=') ? null : (delta > 0) === kpi.higherIsBetter;
+        element.textContent = `${deltaText} vs ${sides.baseline.label}`;
+        element.title = `${sides.baseline.label}: ${kpi.format(before)} → ${sides.current.label}: ${kpi.format(after)}`;
+        element.classList.add(improved === null ? 'text-gray-500' : improved ? 'text-green-600' : 'text-red-600');
+    });
+}
+
+// Helper function to build grouped-bar options shared by the comparison charts
+function comparisonBarOptions(onSelect, yTitle, xTitle, afterLabel) {
+    const axis = text => ({
+        title: {
+            display: true,
+            text,
+            color: 'rgba(55, 65, 81, 0.8)'
+        },
+        ticks: {
+            color: 'rgba(55, 65, 81, 0.7)'
+        },
+        grid: {
+            color: 'rgba(55, 65, 81, 0.1)'
+        }
+    });
+
+    return {
+        ...drillDownOptions(onSelect),
+        plugins: {
+            legend: {
+                display: true,
+                position: 'bottom',
+                labels: {
+                    color: 'rgba(55, 65, 81, 0.8)'
+                }
+            },
+            tooltip: {
+                callbacks: { afterLabel }
+            }
+        },
+        scales: {
+            y: { beginAtZero: true, ...axis(yTitle) },
+            x: axis(xTitle)
+        }
+    };
+}
+
+// Helper function to build the baseline and current datasets of a grouped bar chart
+function comparisonBarDatasets(sides, baselineData, currentData) {
+    return [{
+        label: `A: ${sides.baseline.label}`,
+        data: baselineData,
+        backgroundColor: 'rgba(30, 58, 138, 0.3)', // Light blue for the baseline
+        borderColor: 'rgba(30, 58, 138, 1)',
+        borderWidth: 2
+    }, {
+        label: `B: ${sides.current.label}`,
+        data: currentData,
+        backgroundColor: 'rgba(30, 58, 138, 0.8)', // Dark blue for the current side
+        borderColor: 'rgba(30, 58, 138, 1)',
+        borderWidth: 2
+    }];
+}
+
+// Function to redraw delay by carrier as grouped bars, baseline vs current
+function createComparisonCarrierChart(sides) {
+    const baselineStats = computeCarrierDelayStats(sides.baseline.rows);
+    const currentStats = computeCarrierDelayStats(sides.current.rows);
+    const findStats = (stats, name) => stats.find(carrier => carrier.name === name);
+    const combinedCount = name => (findStats(baselineStats, name)?.count || 0) + (findStats(currentStats, name)?.count || 0);
+
+    // Same noise threshold as the single chart, counted over both sides
+    const allCarriers = Array.from(new Set([...currentStats, ...baselineStats].map(carrier => carrier.name)));
+    const carriers = allCarriers.filter(name => combinedCount(name) >= MIN_CARRIER_SHIPMENTS);
+    const hiddenCarriers = allCarriers.filter(name => combinedCount(name) < MIN_CARRIER_SHIPMENTS);
+
+    const note = document.getElementById('chart-delay-by-carrier-note');
+    if (note) {
+        note.textContent = hiddenCarriers.length > 0
+            ? `Not shown (fewer than ${MIN_CARRIER_SHIPMENTS} shipments across A and B): ${hiddenCarriers.map(name => `${name} (${combinedCount(name)})`).join(', ')}.`
+            : '';
+    }
+
+    if (carriers.length === 0) {
+        clearChart('delay-by-carrier', `No carriers with at least ${MIN_CARRIER_SHIPMENTS} shipments across A and B`);
+        return;
+    }
+
+    const avgDelayOf = stats => carriers.map(name => findStats(stats, name) ? Number(findStats(stats, name).avgDelay.toFixed(1)) : null);
+    createChartBase('delay-by-carrier', 'bar', {
+        labels: carriers,
+        datasets: comparisonBarDatasets(sides, avgDelayOf(baselineStats), avgDelayOf(currentStats))
+    }, comparisonBarOptions(
+        index => drillDown('carrier', carriers[index]),
+        'Avg Delay (days)',
+        'Carrier',
+        context => {
+            const stats = findStats(context.datasetIndex === 0 ? baselineStats : currentStats, carriers[context.dataIndex]);
+            return stats ? `${stats.count} shipments` : 'No shipments';
+        }
+    ));
+}
+
+// Function to redraw mode emissions as grouped bars, baseline vs current
+function createComparisonModeEmissionsChart(sides) {
+    const baseline = computeModeEmissions(sides.baseline.rows).modeEmissions;
+    const current = computeModeEmissions(sides.current.rows).modeEmissions;
+    const modes = Array.from(new Set([...Object.keys(current), ...Object.keys(baseline)]));
+
+    if (modes.length === 0) {
+        clearChart('mode-emissions', 'No transport mode data in this selection');
+        return;
+    }
+
+    createChartBase('mode-emissions', 'bar', {
+        labels: modes,
+        datasets: comparisonBarDatasets(sides, modes.map(mode => Math.round(baseline[mode] || 0)), modes.map(mode => Math.round(current[mode] || 0)))
+    }, comparisonBarOptions(
+        index => drillDown('mode', modes[index]),
+        'CO₂ (kg)',
+        'Mode',
+        context => {
+            const before = Math.round(baseline[modes[context.dataIndex]] || 0);
+            const after = Math.round(current[modes[context.dataIndex]] || 0);
+            return context.datasetIndex === 1 && before > 0 ? `${formatSignedPercentChange(before, after)} vs A` : '';
+        }
+    ));
+}
+
+// Helper function to format a relative change ("+12%", "-4%")
+function formatSignedPercentChange(before, after) {
+    const change = Math.round(((after - before) / before) * 100);
+    return `${change > 0 ? '+' : ''}${change}%`;
+}
+
+// Function to describe what changed between the baseline and the current side
+function buildComparisonInsights(sides) {
+    const { baseline, current } = sides;
+    if (baseline.rows.length === 0) {
+        return [`No shipments in ${baseline.label} to compare against.`];
+    }
+
+    const before = computeComparisonKpis(baseline.rows);
+    const after = computeComparisonKpis(current.rows);
+    const insights = [];
+    const moved = (delta, up, down) => Math.abs(delta) < 0.05 ? 'held steady' : delta > 0 ? up : down;
+
+    insights.push(`Volume ${moved(after.total - before.total, 'rose', 'fell')} from ${before.total} to ${after.total} shipments (${formatSignedPercentChange(before.total, after.total)}).`);
+
+    const onTimeDelta = after.onTimePct - before.onTimePct;
+    insights.push(`On-time rate ${moved(onTimeDelta, 'improved', 'slipped')}: ${before.onTimePct.toFixed(1)}% → ${after.onTimePct.toFixed(1)}% (${formatComparisonDelta(onTimeDelta, delta => `${delta.toFixed(1)} pts`)}).`);
+
+    const delayDelta = after.avgDelay - before.avgDelay;
+    insights.push(`Late shipments ran ${before.avgDelay.toFixed(1)} → ${after.avgDelay.toFixed(1)} days late on average (${moved(delayDelta, 'worse', 'better')}).`);
+
+    if (before.costPerShipment > 0) {
+        insights.push(`Cost per shipment went from ${formatUsd(before.costPerShipment)} to ${formatUsd(after.costPerShipment)} (${formatSignedPercentChange(before.costPerShipment, after.costPerShipment)}).`);
+    }
+
+    // Carrier with the biggest swing in average delay, among carriers with enough shipments on both sides
+    const baselineStats = computeCarrierDelayStats(baseline.rows);
+    const carrierChanges = computeCarrierDelayStats(current.rows)
+        .map(stats => ({ stats, previous: baselineStats.find(carrier => carrier.name === stats.name) }))
+        .filter(({ stats, previous }) => previous && stats.count >= COMPARISON_MIN_SHIPMENTS && previous.count >= COMPARISON_MIN_SHIPMENTS)
+        .map(({ stats, previous }) => ({ name: stats.name, before: previous.avgDelay, after: stats.avgDelay, delta: stats.avgDelay - previous.avgDelay }))
+        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+    if (carrierChanges.length > 0 && Math.abs(carrierChanges[0].delta) >= 0.05) {
+        const top = carrierChanges[0];
+        insights.push(`${top.name} moved most: average delay ${top.delta > 0 ? 'worsened' : 'improved'} by ${Math.abs(top.delta).toFixed(1)} days (${top.before.toFixed(1)} → ${top.after.toFixed(1)}).`);
+    }
+
+    // Mode behind the largest change in emissions
+    const baselineModes = computeModeEmissions(baseline.rows).modeEmissions;
+    const currentModes = computeModeEmissions(current.rows).modeEmissions;
+    const modeChanges = Array.from(new Set([...Object.keys(baselineModes), ...Object.keys(currentModes)]))
+        .map(mode => ({ mode, delta: (currentModes[mode] || 0) - (baselineModes[mode] || 0) }))
+        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+    if (modeChanges.length > 0 && Math.round(modeChanges[0].delta) !== 0) {
+        const top = modeChanges[0];
+        insights.push(`${top.mode} accounts for the largest CO₂ change: ${top.delta > 0 ? '+' : '-'}${Math.round(Math.abs(top.delta)).toLocaleString()} kg (total ${Math.round(before.co2).toLocaleString()} → ${Math.round(after.co2).toLocaleString()} kg).`);
+    }
+
+    return insights;
+}
+
+// Function to add the "what changed" card at the top of the insights
+function renderComparisonInsights(sides) {
+    const insightsContainer = document.querySelector('#insights .space-y-4');
+    if (!insightsContainer) {
+        return;
+    }
+
+    const insights = buildComparisonInsights(sides);
+    insightsContainer.insertAdjacentHTML('afterbegin', `
+        <div class="p-4 bg-blue-50 border border-blue-200 rounded-lg">
+            <h4 class="text-sm font-medium text-gray-900 mb-2">What changed: ${escapeHtml(sides.baseline.label)} → ${escapeHtml(sides.current.label)}</h4>
+            <ul class="space-y-1">
+                ${insights.map(insight => `<li class="text-gray-900 text-sm">• ${escapeHtml(insight)}</li>`).join('')}
+            </ul>
+        </div>
+    `);
+}
+
+// Function to sync the comparison panel with the comparison state
+function renderComparisonPanel(sides) {
+    const toggle = document.getElementById('comparison-toggle');
+    const controls = document.getElementById('comparison-controls');
+    if (!toggle || !controls) {
+        return;
+    }
+
+    toggle.checked = comparison.active;
+    controls.classList.toggle('hidden', !comparison.active);
+
+    document.querySelectorAll('#comparison-source button[data-source]').forEach(button => {
+        const active = button.dataset.source === comparison.source;
+        button.classList.toggle('bg-blue-600', active);
+        button.classList.toggle('text-white', active);
+        button.classList.toggle('hover:bg-gray-100', !active);
+        button.classList.toggle('text-gray-700', !active);
+    });
+
+    const byPeriod = comparison.source === 'period';
+    document.getElementById('comparison-period').classList.toggle('hidden', !byPeriod);
+    document.getElementById('comparison-dataset').classList.toggle('hidden', byPeriod);
+
+    if (comparison.windows) {
+        ['baseline', 'current'].forEach(side => {
+            document.getElementById(`comparison-${side}-start`).value = comparison.windows[side].start;
+            document.getElementById(`comparison-${side}-end`).value = comparison.windows[side].end;
+        });
+    }
+
+    // The windows take over from the date range filter while comparing periods
+    const windowsReplaceDates = comparisonReplacesDates();
+    ['filter-start-date', 'filter-end-date'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.disabled = windowsReplaceDates;
+            input.classList.toggle('opacity-50', windowsReplaceDates);
+        }
+    });
+
+    document.getElementById('comparison-file-name').textContent = comparison.baselineSourceName
+        ? `Baseline (A): ${comparison.baselineSourceName} · ${comparison.baselineRows.length} rows`
+        : 'No baseline file loaded';
+
+    const summary = document.getElementById('comparison-summary');
+    if (!comparison.active) {
+        summary.textContent = '';
+    } else if (!sides) {
+        summary.textContent = byPeriod ? 'No dated shipments to compare.' : (comparison.baselineWarning || 'Load a file to compare the current dataset against.');
+    } else {
+        const counts = `A: ${sides.baseline.label} (${sides.baseline.rows.length} shipments) → B: ${sides.current.label} (${sides.current.rows.length} shipments).`;
+        summary.textContent = [
+            counts,
+            byPeriod ? 'The windows replace the date range filter; other filters apply to both.' : 'Filters apply to both files.',
+            byPeriod ? '' : comparison.baselineWarning
+        ].filter(Boolean).join(' ');
+    }
+}
+
+// Function to layer the comparison onto the freshly rendered dashboard
+function renderComparison(sides) {
+    renderComparisonPanel(sides);
+    renderComparisonDeltas(sides);
+    if (!sides || sides.current.rows.length === 0) {
+        return;
+    }
+    createComparisonCarrierChart(sides);
+    createComparisonModeEmissionsChart(sides);
+    renderComparisonInsights(sides);
+}
+
+// Function to load the baseline file for file vs file comparison
+async function loadComparisonFile(file) {
+    try {
+        const parsed = await parseDataFile(file);
+        if (!parsed) {
+            return;
+        }
+        if (parsed.rows.length === 0) {
+            throw new Error(`No shipment records found in ${parsed.sourceName}`);
+        }
+
+        // Both files are read through the current dataset's column mapping
+        const headers = getColumnHeaders(parsed.rows);
+        const missing = Object.values(columnMapping || {}).filter(column => column && !headers.includes(column));
+        comparison.baselineRows = parsed.rows;
+        comparison.baselineSourceName = parsed.sourceName;
+        comparison.baselineWarning = missing.length > 0 ? `Columns missing from the baseline file: ${missing.join(', ')}.` : '';
+    } catch (error) {
+        console.error('Error loading comparison file:', error);
+        comparison.baselineWarning = error.message;
+    }
+    applyFilters();
+}
+
+// Function to wire up the comparison panel
+function setupComparison() {
+    const toggle = document.getElementById('comparison-toggle');
+    if (!toggle) {
+        return;
+    }
+
+    toggle.addEventListener('change', () => {
+        comparison.active = toggle.checked;
+        applyFilters();
+    });
+
+    document.querySelectorAll('#comparison-source button[data-source]').forEach(button => {
+        button.addEventListener('click', () => {
+            comparison.source = button.dataset.source;
+            applyFilters();
+        });
+    });
+
+    ['baseline', 'current'].forEach(side => {
+        ['start', 'end'].forEach(bound => {
+            document.getElementById(`comparison-${side}-${bound}`).addEventListener('change', (e) => {
+                if (!comparison.windows) {
+                    return;
+                }
+                comparison.windows[side][bound] = e.target.value;
+                applyFilters();
+            });
+        });
+    });
+
+    document.getElementById('comparison-mom').addEventListener('click', () => {
+        comparison.windows = getMonthOverMonthWindows(getDashboardRows());
+        applyFilters();
+    });
+
+    const fileInput = document.getElementById('comparison-file-input');
+    document.getElementById('comparison-load-file').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (file) {
+            loadComparisonFile(file);
+        }
+        // Reset so selecting the same file again still triggers a change
+        fileInput.value = '';
+    });
+
+    renderComparisonPanel(null);
+}
+
+// ---- Dashboard filters ----
+// Active filter values (empty string = not filtered)
+const activeFilters = {
+    startDate: '',
+    endDate: '',
+    carrier: '',
+    mode: '',
+    risk: '',
+    lane: '',
+    segment: '',
+    customer: ''
+};
+
+// Rows left after applying the active filters
+let filteredRows = [];
+
+// Filter key -> form control id
+const FILTER_CONTROLS = {
+    startDate: 'filter-start-date',
+    endDate: 'filter-end-date',
+    carrier: 'filter-carrier',
+    mode: 'filter-mode',
+    risk: 'filter-risk'
+};
+
+// Filter key -> label used in chips and breadcrumbs
+const FILTER_LABELS = {
+    startDate: 'From',
+    endDate: 'To',
+    carrier: 'Carrier',
+    mode: 'Mode',
+    risk: 'Risk',
+    lane: 'Lane',
+    segment: 'Segment',
+    customer: 'Customer'
+};
+
+// Helper function to show a filter value in chips, breadcrumbs and exports (lane values show their level)
+function formatFilterValue(key, value) {
+    if (key === 'lane' && value) {
+        const { level, lane } = parseLaneFilter(value);
+        return `${lane} (${level})`;
+    }
+    return value;
+}
+
+const RISK_LEVEL_ORDER = ['Low', 'Medium', 'High', 'Critical'];
+
+// Helper function to collect sorted distinct values of a field
+function getDistinctValues(rows, getter) {
+    const values = new Set();
+    rows.forEach(row => values.add(String(getter(row))));
+    return Array.from(values).sort((a, b) => a.localeCompare(b));
+}
+
+// Helper function to fill a filter select while keeping the current selection if still available
+function fillFilterSelect(selectId, allLabel, values) {
+    const select = document.getElementById(selectId);
+    if (!select) {
+        return;
+    }
+
+    const currentValue = select.value;
+    select.innerHTML = `
+        <option value="" class="bg-white text-gray-900">${allLabel}</option>
+        ${values.map(value => `<option value="${escapeHtml(value)}" class="bg-white text-gray-900">${escapeHtml(value)}</option>`).join('')}
+    `;
+    select.value = values.includes(currentValue) ? currentValue : '';
+}
+
+// Function to populate the filter panel from the loaded rows
+function populateFilterOptions(rows) {
+    fillFilterSelect('filter-carrier', 'All Carriers', getDistinctValues(rows, getCarrier));
+    fillFilterSelect('filter-mode', 'All Modes', getDistinctValues(rows, getTransportMode));
+
+    // Keep risk levels in severity order rather than alphabetical
+    const riskLevels = getDistinctValues(rows, getRiskLevel).sort((a, b) => {
+        const indexA = RISK_LEVEL_ORDER.indexOf(a);
+        const indexB = RISK_LEVEL_ORDER.indexOf(b);
+        return (indexA === -1 ? RISK_LEVEL_ORDER.length : indexA) - (indexB === -1 ? RISK_LEVEL_ORDER.length : indexB);
+    });
+    fillFilterSelect('filter-risk', 'All Risk Levels', riskLevels);
+
+    // Limit the date pickers to the range covered by the data
+    const dates = rows.map(getShipmentDate).filter(Boolean).map(date => date.format('YYYY-MM-DD')).sort();
+    ['filter-start-date', 'filter-end-date'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.min = dates[0] || '';
+            input.max = dates[dates.length - 1] || '';
+        }
+    });
+}
+
+// Function to check a row against a set of filters
+function rowMatchesFilters(row, filters = activeFilters) {
+    if (filters.carrier && String(getCarrier(row)) !== filters.carrier) {
+        return false;
+    }
+    if (filters.mode && String(getTransportMode(row)) !== filters.mode) {
+        return false;
+    }
+    if (filters.risk && getRiskLevel(row) !== filters.risk) {
+        return false;
+    }
+    // Lane filters come from the lane table and map, and only match at the level they were picked at
+    if (filters.lane) {
+        const { level, lane } = parseLaneFilter(filters.lane);
+        if ((level === 'country' ? getCountryLaneLabel(row) : getLaneLabel(row)) !== lane) {
+            return false;
+        }
+    }
+    if (filters.segment && String(getCustomerSegment(row)) !== filters.segment) {
+        return false;
+    }
+    if (filters.customer && String(getCustomerId(row)) !== filters.customer) {
+        return false;
+    }
+    if (filters.startDate || filters.endDate) {
+        const shipmentDate = getShipmentDate(row);
+        if (!shipmentDate) {
+            return false;
+        }
+        const day = shipmentDate.format('YYYY-MM-DD');
+        if (filters.startDate && day < filters.startDate) {
+            return false;
+        }
+        if (filters.endDate && day > filters.endDate) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Function to show an empty dashboard when no rows match
+function renderEmptyDashboard(message, laneMapRows = []) {
+    document.getElementById('kpi-total-shipments').textContent = '0';
+    ['kpi-on-time', 'kpi-avg-delay', 'kpi-savings', 'kpi-co2'].forEach(id => {
+        document.getElementById(id).textContent = '-';
+    });
+
+    ['kpi-co2-note', 'chart-delay-by-carrier-note'].forEach(id => {
+        const note = document.getElementById(id);
+        if (note) {
+            note.textContent = '';
         }
+    });
+
+    ['delay-by-carrier', 'risk', 'cost-distance', 'mode-emissions', ...Object.keys(TREND_METRICS)].forEach(chartId => clearChart(chartId, message));
+    renderAnomalies([]);
+    renderPredictionAccuracy([]);
+    renderRootCauses([]);
+    renderLaneMap(laneMapRows, activeFilters.carrier);
+    renderLaneTable([]);
+    renderCarrierScorecards([]);
+    renderCompliance([]);
+    renderFinance([]);
+    renderCustomers([]);
+
+    const tableContainer = document.getElementById('table-container');
+    if (tableContainer) {
+        tableContainer.innerHTML = `
+            <div class="flex items-center justify-center h-32 text-gray-500">
+                <p>${escapeHtml(message)}</p>
+            </div>
+        `;
+    }
+
+    const insightsContainer = document.querySelector('#insights .space-y-4');
+    if (insightsContainer) {
+        insightsContainer.innerHTML = `
+            <div class="p-4 bg-gray-50 border border-gray-200 rounded-lg">
+                <p class="text-gray-900 text-sm">• ${escapeHtml(message)}</p>
+            </div>
+        `;
+    }
+}
+
+// Function to apply the active filters and re-render the dashboard
+function applyFilters() {
+    // In comparison mode the dashboard shows the current side; the baseline feeds the deltas
+    const comparisonSides = getComparisonSides();
+    filteredRows = comparisonSides ? comparisonSides.current.rows : getDashboardRows().filter(row => rowMatchesFilters(row));
+    // The lane map shows the same selection with every carrier, so the carrier filter can be highlighted on it
+    const laneMapFilters = { ...activeFilters, carrier: '' };
+    const laneMapSides = comparisonSides && getComparisonSides(laneMapFilters);
+    const laneMapRows = laneMapSides ? laneMapSides.current.rows : getDashboardRows().filter(row => rowMatchesFilters(row, laneMapFilters));
+    // A scatter box selection belongs to the previous chart render
+    scatterBoxSelect.rows = null;
+    renderFilterChips();
+    renderDrillBreadcrumbs();
+
+    if (filteredRows.length === 0) {
+        renderEmptyDashboard(comparisonSides ? `No shipments match the current filters in ${comparisonSides.current.label}` : 'No shipments match the current filters', laneMapRows);
     } else {
-        console.error('Insights container not found');
+        renderDashboard(filteredRows, laneMapRows);
     }
-    
-    console.log('Insights rendered:', insights);
+    renderComparison(comparisonSides);
+
+    saveSession();
+    updateUrlState();
+
+    console.log('Filters applied:', { ...activeFilters, matchingRows: filteredRows.length });
+    return filteredRows;
 }
 
-// Helper function to calculate Pearson correlation coefficient
-function calculatePearsonCorrelation(points) {
-    const n = points.length;
-    if (n < 2) return 0;
-    
-    const x = points.map(p => p.distance);
-    const y = points.map(p => p.cost);
-    
-    const sumX = x.reduce((a, b) => a + b, 0);
-    const sumY = y.reduce((a, b) => a + b, 0);
-    const sumXY = x.reduce((sum, xi, i) => sum + xi * y[i], 0);
-    const sumX2 = x.reduce((sum, xi) => sum + xi * xi, 0);
-    const sumY2 = y.reduce((sum, yi) => sum + yi * yi, 0);
-    
-    const numerator = n * sumXY - sumX * sumY;
-    const denominator = Math.sqrt((n * sumX2 - sumX * sumX) * (n * sumY2 - sumY * sumY));
-    
-    return denominator === 0 ? 0 : numerator / denominator;
+// Function to write the active filters back into the form controls
+function syncFilterControls() {
+    Object.entries(FILTER_CONTROLS).forEach(([key, id]) => {
+        const control = document.getElementById(id);
+        if (control) {
+            control.value = activeFilters[key];
+        }
+    });
 }
 
-// Function to render outliers and anomalies
-function renderOutliersAndAnomalies(rows) {
-    if (!rows || rows.length === 0) {
-        console.warn('No data available for outliers and anomalies');
+// Function to set a single filter and refresh the dashboard
+function setFilter(key, value) {
+    activeFilters[key] = value || '';
+    pruneDrillHistory();
+    syncFilterControls();
+    applyFilters();
+}
+
+// Function to reset all filters
+function resetFilters() {
+    Object.keys(activeFilters).forEach(key => {
+        activeFilters[key] = '';
+    });
+    drillHistory.length = 0;
+    syncFilterControls();
+}
+
+// Function to render the active filter chips and the clear-all control
+function renderFilterChips() {
+    const chipsContainer = document.getElementById('filter-chips');
+    const clearBtn = document.getElementById('filter-clear');
+    if (!chipsContainer) {
+        return;
+    }
+
+    // Date chips are hidden while the comparison windows replace the date range
+    const chips = Object.entries(activeFilters)
+        .filter(([key, value]) => value && !(comparisonReplacesDates() && (key === 'startDate' || key === 'endDate')))
+        .map(([key, value]) => `
+            <span class="inline-flex items-center bg-blue-50 border border-blue-200 text-blue-800 text-xs font-medium rounded-full pl-3 pr-1 py-1">
+                ${FILTER_LABELS[key]}: ${escapeHtml(formatFilterValue(key, value))}
+                <button data-filter-key="${key}" class="ml-1 w-5 h-5 rounded-full hover:bg-blue-100 flex items-center justify-center" title="Remove filter">×</button>
+            </span>
+        `);
+
+    chipsContainer.innerHTML = chips.length > 0
+        ? chips.join('') + `<span class="text-xs text-gray-500 self-center">${filteredRows.length} of ${getDashboardRows().length} shipments</span>`
+        : '';
+
+    chipsContainer.querySelectorAll('button[data-filter-key]').forEach(button => {
+        button.addEventListener('click', () => setFilter(button.dataset.filterKey, ''));
+    });
+
+    if (clearBtn) {
+        clearBtn.classList.toggle('hidden', chips.length === 0);
+    }
+}
+
+// Function to wire the filter controls
+function setupFilters() {
+    Object.entries(FILTER_CONTROLS).forEach(([key, id]) => {
+        const control = document.getElementById(id);
+        if (control) {
+            control.addEventListener('change', () => setFilter(key, control.value));
+        }
+    });
+
+    const clearBtn = document.getElementById('filter-clear');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+            resetFilters();
+            applyFilters();
+        });
+    }
+}
+
+// Supported upload formats (by file extension)
+const SUPPORTED_FILE_TYPES = ['xlsx', 'xls', 'csv', 'json'];
+
+// ---- Data export ----
+// Helper function to prepare a row for export (spreadsheet date serials become ISO dates)
+function toExportRow(row) {
+    const exportRow = {};
+    Object.entries(row).forEach(([col, value]) => {
+        const parsedDate = col.toLowerCase().includes('date') ? parseDateValue(value) : null;
+        exportRow[col] = parsedDate ? parsedDate.format('YYYY-MM-DD') : value;
+    });
+    return exportRow;
+}
+
+// Function to build the export tables for the current (filtered) dashboard state
+function buildExportTables(rows) {
+    const carrierStats = computeCarrierDelayStats(rows).map(carrier => ({
+        carrier: carrier.name,
+        shipments: carrier.count,
+        late_shipments: carrier.lateCount,
+        avg_delay_days: Number(carrier.avgDelay.toFixed(2)),
+        shown_in_chart: carrier.count >= 5 ? 'Yes' : 'No (fewer than 5 shipments)'
+    }));
+
+    const { modeEmissions, modeSplit, totalEmissions } = computeModeEmissions(rows);
+    const modeTotals = Object.entries(modeEmissions).map(([mode, emissionsKg]) => ({
+        mode,
+        co2_kg: Number(emissionsKg.toFixed(2)),
+        reported_co2_kg: Number(modeSplit[mode].reported.toFixed(2)),
+        estimated_co2_kg: Number(modeSplit[mode].estimated.toFixed(2)),
+        share_pct: totalEmissions > 0 ? Number(((emissionsKg / totalEmissions) * 100).toFixed(1)) : 0
+    }));
+
+    const insights = buildInsights(rows).map((insight, index) => ({ '#': index + 1, insight }));
+
+    const metadata = [
+        { field: 'Generated at', value: dayjs().format('YYYY-MM-DD HH:mm') },
+        { field: 'Source', value: loadedSourceName || '-' },
+        { field: 'Rows loaded', value: loadedRows.length },
+        { field: 'Rows exported', value: rows.length },
+        ...Object.entries(activeFilters).map(([key, value]) => ({ field: `Filter: ${FILTER_LABELS[key]}`, value: formatFilterValue(key, value) || 'All' })),
+        { field: 'Drill-down path', value: drillHistory.map(entry => entry.label).join(' › ') || '-' },
+        { field: 'Cost per delay day (USD)', value: savingsSettings.costPerDelayDay },
+        { field: 'Mode rate overrides (USD/day)', value: formatRateOverrides(savingsSettings.modeRates) },
+        { field: 'Segment rate overrides (USD/day)', value: formatRateOverrides(savingsSettings.segmentRates) },
+        { field: 'Savings model', value: describeSavingsModel() },
+        { field: 'Emission factors (g CO₂e/t-km)', value: Object.entries(emissionSettings.modeFactors).map(([mode, factor]) => `${mode}: ${factor}`).join(', ') },
+        { field: 'Emissions source', value: emissionSettings.preferReported ? 'Reported where available, otherwise estimated' : 'Estimated for every shipment' }
+    ];
+
+    return {
+        Shipments: rows.map(row => {
+            const emissions = estimateEmissions(row);
+            return {
+                ...toExportRow(row),
+                co2_kg: Number(emissions.kg.toFixed(2)),
+                co2_method: emissions.method,
+                co2_notes: emissions.notes.join('; ')
+            };
+        }),
+        'Carrier Delays': carrierStats,
+        'Mode Emissions': modeTotals,
+        Insights: insights,
+        Metadata: metadata
+    };
+}
+
+// Export menu entries: which table to write and in which format
+const EXPORT_OPTIONS = {
+    'shipments-csv': { table: 'Shipments', format: 'csv', fileName: 'shipments' },
+    'carriers-csv': { table: 'Carrier Delays', format: 'csv', fileName: 'carrier-delays' },
+    'modes-csv': { table: 'Mode Emissions', format: 'csv', fileName: 'mode-emissions' },
+    'insights-csv': { table: 'Insights', format: 'csv', fileName: 'insights' },
+    'workbook-xlsx': { table: null, format: 'xlsx', fileName: 'freight-dashboard' }
+};
+
+// Function to export the current dashboard data as CSV or a multi-sheet XLSX workbook
+function exportDashboardData(optionKey) {
+    const option = EXPORT_OPTIONS[optionKey];
+    if (!option || loadedRows.length === 0) {
+        return;
+    }
+
+    const tables = buildExportTables(filteredRows);
+    const workbook = XLSX.utils.book_new();
+    const sheetNames = option.table ? [option.table] : Object.keys(tables);
+
+    sheetNames.forEach(sheetName => {
+        // Placeholder sheet when a table is empty
+        const data = tables[sheetName];
+        const worksheet = data.length > 0 ? XLSX.utils.json_to_sheet(data) : XLSX.utils.aoa_to_sheet([['No data']]);
+        XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+    });
+
+    const fileName = `derya-${option.fileName}-${dayjs().format('YYYY-MM-DD')}.${option.format}`;
+    XLSX.writeFile(workbook, fileName, { bookType: option.format });
+
+    console.log('Exported dashboard data:', { fileName, sheets: sheetNames, rows: filteredRows.length });
+}
+
+// Helper function to trigger a browser download for generated text content
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Charts included in the management report (chart id -> title)
+const REPORT_CHARTS = {
+    'delay-by-carrier': 'Delay by Carrier',
+    'risk': 'Risk Distribution',
+    'cost-distance': 'Cost vs Distance',
+    'mode-emissions': 'Mode vs Emissions',
+    'trend-on-time': 'On-time Rate Trend',
+    'trend-delay': 'Average Delay Trend',
+    'root-cause-pareto': 'Delay Root Causes'
+};
+
+// Function to build a self-contained management report from the current dashboard state
+// Styles are inline and charts are embedded as images so the file works offline
+function buildReportHtml({ autoPrint = false } = {}) {
+    const kpis = Array.from(document.querySelectorAll('#kpis > div')).map(card => {
+        const [label, value] = card.querySelectorAll('.ml-4 p');
+        return { label: label ? label.textContent.trim() : '', value: value ? value.textContent.trim() : '-' };
+    });
+
+    const charts = Object.entries(REPORT_CHARTS).map(([chartId, title]) => {
+        const chart = window[chartId + 'Chart'];
+        return { title, image: chart ? chart.toBase64Image('image/png', 1) : null };
+    });
+
+    const insights = buildInsights(filteredRows);
+    const lateShipments = getTopLateShipments(filteredRows, 5);
+    const filterSummary = Object.entries(activeFilters)
+        .filter(([, value]) => value)
+        .map(([key, value]) => `${FILTER_LABELS[key]}: ${formatFilterValue(key, value)}`)
+        .join(' · ') || 'All shipments';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Derya AI Freight Report – ${dayjs().format('YYYY-MM-DD')}</title>
+<style>
+    @page { size: A4; margin: 15mm; }
+    body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #111827; margin: 0 auto; max-width: 190mm; font-size: 12px; }
+    h1 { font-size: 22px; color: #1e3a8a; margin: 0 0 4px; }
+    h2 { font-size: 15px; color: #1e3a8a; border-bottom: 2px solid #1e3a8a; padding-bottom: 4px; margin: 24px 0 12px; }
+    .meta { color: #4b5563; margin: 0 0 2px; }
+    .page { page-break-after: always; padding-top: 8px; }
+    .page:last-child { page-break-after: auto; }
+    .kpis { display: grid; grid-template-columns: repeat(5, 1fr); gap: 8px; }
+    .kpi { border: 1px solid #e5e7eb; border-radius: 8px; padding: 10px; }
+    .kpi-label { color: #4b5563; font-size: 11px; }
+    .kpi-value { font-size: 18px; font-weight: 700; margin-top: 4px; }
+    .charts { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+    .chart { border: 1px solid #e5e7eb; border-radius: 8px; padding: 10px; page-break-inside: avoid; }
+    .chart h3 { font-size: 13px; margin: 0 0 8px; }
+    .chart img { width: 100%; }
+    ul { padding-left: 18px; }
+    li { margin-bottom: 6px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; }
+    th { background: #f3f4f6; font-size: 11px; text-transform: uppercase; color: #374151; }
+    td.num { text-align: right; }
+    .footer { color: #6b7280; font-size: 10px; margin-top: 24px; }
+</style>
+</head>
+<body>
+    <section class="page">
+        <h1>Derya AI Freight Report</h1>
+        <p class="meta">Generated ${dayjs().format('YYYY-MM-DD HH:mm')} · Source: ${escapeHtml(loadedSourceName || '-')}</p>
+        <p class="meta">Scope: ${escapeHtml(filterSummary)} (${filteredRows.length} of ${getDashboardRows().length} shipments)</p>
+
+        <h2>Key Performance Indicators</h2>
+        <div class="kpis">
+            ${kpis.map(kpi => `
+                <div class="kpi">
+                    <div class="kpi-label">${escapeHtml(kpi.label)}</div>
+                    <div class="kpi-value">${escapeHtml(kpi.value)}</div>
+                </div>
+            `).join('')}
+        </div>
+
+        <h2>Derya AI Insights</h2>
+        ${insights.length > 0
+            ? `<ul>${insights.map(insight => `<li>${escapeHtml(insight)}</li>`).join('')}</ul>`
+            : '<p>No insights available for this selection.</p>'}
+    </section>
+
+    <section class="page">
+        <h2>Charts</h2>
+        <div class="charts">
+            ${charts.map(chart => `
+                <div class="chart">
+                    <h3>${chart.title}</h3>
+                    ${chart.image ? `<img src="${chart.image}" alt="${chart.title}">` : '<p>No data for this selection.</p>'}
+                </div>
+            `).join('')}
+        </div>
+    </section>
+
+    <section class="page">
+        <h2>Top Late Shipments</h2>
+        ${lateShipments.length > 0 ? `
+            <table>
+                <thead>
+                    <tr><th>ID</th><th>Carrier</th><th>Lane</th><th style="text-align:right">Delay (days)</th></tr>
+                </thead>
+                <tbody>
+                    ${lateShipments.map(shipment => `
+                        <tr>
+                            <td>${escapeHtml(shipment.shipmentId)}</td>
+                            <td>${escapeHtml(shipment.carrier)}</td>
+                            <td>${escapeHtml(shipment.lane)}</td>
+                            <td class="num">${shipment.delayDays}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<p>No late shipments in this selection.</p>'}
+        <p class="footer">Savings model: ${escapeHtml(describeSavingsModel())}. © ${dayjs().format('YYYY')} Derya Maritime.</p>
+    </section>
+    ${autoPrint ? '<script>window.addEventListener("load", () => window.print());<\/script>' : ''}
+</body>
+</html>`;
+}
+
+// Function to open the print-optimised report (the browser's print dialog can save it as PDF)
+function printReport() {
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) {
+        showErrorHint('The report window was blocked. Please allow pop-ups for this site.');
+        return;
+    }
+    reportWindow.document.write(buildReportHtml({ autoPrint: true }));
+    reportWindow.document.close();
+}
+
+// Function to download the report as a standalone HTML file
+function downloadReportHtml() {
+    downloadFile(buildReportHtml(), `derya-report-${dayjs().format('YYYY-MM-DD')}.html`, 'text/html');
+}
+
+// Function to wire the export dropdown
+function setupExportMenu() {
+    const exportBtn = document.getElementById('btn-export');
+    const exportMenu = document.getElementById('export-menu');
+    if (!exportBtn || !exportMenu) {
         return;
     }
 
-    const insightsContainer = document.querySelector('#insights .space-y-4');
-    if (!insightsContainer) {
-        console.error('Insights container not found');
-        return;
+    exportBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        exportMenu.classList.toggle('hidden');
+    });
+
+    exportMenu.querySelectorAll('button[data-export]').forEach(button => {
+        button.addEventListener('click', () => {
+            exportMenu.classList.add('hidden');
+            exportDashboardData(button.dataset.export);
+        });
+    });
+
+    exportMenu.querySelectorAll('button[data-report]').forEach(button => {
+        button.addEventListener('click', () => {
+            exportMenu.classList.add('hidden');
+            if (loadedRows.length === 0) {
+                return;
+            }
+            if (button.dataset.report === 'print') {
+                printReport();
+            } else {
+                downloadReportHtml();
+            }
+        });
+    });
+
+    // Close the menu when clicking elsewhere
+    document.addEventListener('click', (e) => {
+        if (!exportMenu.contains(e.target)) {
+            exportMenu.classList.add('hidden');
+        }
+    });
+}
+
+// Function to show the loading spinner in the file hint
+function showLoadingHint(message) {
+    const fileHint = document.getElementById('fileHint');
+    fileHint.innerHTML = `
+        <div class="bg-white backdrop-blur-md border border-gray-200 rounded-xl p-6 shadow-lg">
+            <div class="flex items-center space-x-3">
+                <div class="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600 mr-3"></div>
+                <p class="text-gray-900 text-sm font-medium">${escapeHtml(message)}</p>
+            </div>
+        </div>
+    `;
+}
+
+// Function to show the success message with tour button in the file hint
+function showSuccessHint(rowCount, sourceName) {
+    const fileHint = document.getElementById('fileHint');
+    fileHint.innerHTML = `
+        <div class="bg-white backdrop-blur-md border border-gray-200 rounded-xl p-6 shadow-lg">
+            <div class="flex items-center justify-between">
+                <div class="flex items-center space-x-3">
+                    <div class="w-6 h-6 bg-green-100 rounded-full flex items-center justify-center">
+                        <svg class="w-4 h-4 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"></path>
+                        </svg>
+                    </div>
+                    <div>
+                        <p class="text-gray-900 text-sm font-medium">✅ Successfully loaded ${rowCount} freight records</p>
+                        <p class="text-gray-600 text-xs">${escapeHtml(sourceName)} · Ready for analysis! Drop another file here to replace it.</p>
+                    </div>
+                    <button id="edit-column-mapping" class="text-xs text-blue-600 hover:text-blue-800 font-medium transition-colors">Edit column mapping</button>
+                </div>
+                <button id="walkthrough-start-success" class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200 shadow-lg hover:shadow-xl transform hover:scale-105 animate-pulse">
+                    <div class="flex items-center space-x-2">
+                        <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+                        </svg>
+                        <span class="font-semibold">Start Tour</span>
+                    </div>
+                </button>
+            </div>
+        </div>
+    `;
+
+    const editMappingBtn = document.getElementById('edit-column-mapping');
+    if (editMappingBtn) {
+        editMappingBtn.addEventListener('click', () => editColumnMapping());
+    }
+
+    const successTourBtn = document.getElementById('walkthrough-start-success');
+    if (successTourBtn) {
+        successTourBtn.addEventListener('click', () => {
+            walkthrough.start();
+        });
+    }
+}
+
+// Function to show an error message in the file hint
+function showErrorHint(message) {
+    const fileHint = document.getElementById('fileHint');
+    fileHint.innerHTML = `
+        <div class="bg-white backdrop-blur-md border border-gray-200 rounded-xl p-6 shadow-lg">
+            <div class="flex items-center space-x-3">
+                <div class="w-6 h-6 bg-red-100 rounded-full flex items-center justify-center">
+                    <svg class="w-4 h-4 text-red-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                    </svg>
+                </div>
+                <p class="text-gray-900 text-sm font-medium">❌ Error loading freight data: ${escapeHtml(message)}</p>
+            </div>
+        </div>
+    `;
+}
+
+// Helper function to convert a workbook into row objects
+// Without a selection the first sheet is read; see showSheetPicker for the selection shape
+function getWorkbookRows(workbook, selection = null) {
+    const sheetName = workbook.SheetNames[0];
+    if (!sheetName) {
+        throw new Error('The workbook does not contain any sheets');
+    }
+    if (!selection) {
+        return XLSX.utils.sheet_to_json(workbook.Sheets[sheetName]);
+    }
+
+    const rows = appendSheetRows(workbook, selection.sheets);
+    if (!selection.lookup) {
+        return rows;
+    }
+
+    const { sheet, key, lookupKey } = selection.lookup;
+    return joinLookupRows(rows, XLSX.utils.sheet_to_json(workbook.Sheets[sheet]), key, lookupKey);
+}
+
+// Helper function to append several sheets, tagging each row with the sheet it came from
+// The copies keep each row's number within its own sheet for the data quality report
+function appendSheetRows(workbook, sheetNames) {
+    if (sheetNames.length === 1) {
+        return XLSX.utils.sheet_to_json(workbook.Sheets[sheetNames[0]]);
+    }
+    return sheetNames.flatMap(name => XLSX.utils.sheet_to_json(workbook.Sheets[name])
+        .map(row => setSourceRowNumber({ ...row, source_sheet: name }, row.__rowNum__)));
+}
+
+// Helper function to normalize a join key so "MAERSK " matches "Maersk"
+function normalizeJoinKey(value) {
+    return isEmptyCell(value) ? '' : String(value).trim().toLowerCase();
+}
+
+// Function to join a lookup sheet (carrier master, port list...) onto the shipment rows
+// Lookup columns the shipment rows already have are added with a _lookup suffix instead of overwriting
+function joinLookupRows(rows, lookupRows, key, lookupKey) {
+    const lookup = new Map();
+    lookupRows.forEach(lookupRow => {
+        const value = normalizeJoinKey(lookupRow[lookupKey]);
+        if (value && !lookup.has(value)) {
+            lookup.set(value, lookupRow);
+        }
+    });
+
+    const shipmentHeaders = getColumnHeaders(rows);
+    let matched = 0;
+    const joined = rows.map(row => {
+        const lookupRow = lookup.get(normalizeJoinKey(row[key]));
+        if (!lookupRow) {
+            return row;
+        }
+        matched++;
+        const extra = {};
+        Object.entries(lookupRow).forEach(([column, value]) => {
+            if (column === lookupKey) {
+                return;
+            }
+            extra[shipmentHeaders.includes(column) ? `${column}_lookup` : column] = value;
+        });
+        return setSourceRowNumber({ ...row, ...extra }, row.__rowNum__);
+    });
+
+    console.log(`Lookup join on ${key} = ${lookupKey}: ${matched} of ${rows.length} rows matched`);
+    return joined;
+}
+
+// Helper function to describe a sheet selection for the dataset name ("Jan + Feb, joined with Carriers")
+function describeSheetSelection(selection) {
+    const sheets = selection.sheets.join(' + ');
+    return selection.lookup ? `${sheets}, joined with ${selection.lookup.sheet}` : sheets;
+}
+
+// Function to let the user pick which sheets of a multi-sheet workbook to load
+// Resolves with { sheets: [names], lookup: { sheet, key, lookupKey } | null }, or null when cancelled
+function showSheetPicker(workbook, sourceName) {
+    return new Promise(resolve => {
+        const selectClass = 'w-full bg-gray-50 border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+        const sheetRows = Object.fromEntries(workbook.SheetNames.map(name => [name, XLSX.utils.sheet_to_json(workbook.Sheets[name])]));
+
+        const content = `
+            <p class="text-sm text-gray-700 mb-4">
+                <span class="font-medium">${escapeHtml(sourceName)}</span> has ${workbook.SheetNames.length} sheets.
+                Pick the shipment sheet, or several to append them with a <code>source_sheet</code> column.
+            </p>
+            <div class="max-h-48 overflow-y-auto pr-1 space-y-1">
+                ${workbook.SheetNames.map((name, index) => `
+                    <label class="flex items-center justify-between text-sm text-gray-900 py-1">
+                        <span class="flex items-center">
+                            <input type="checkbox" data-sheet="${escapeHtml(name)}" class="mr-2" ${index === 0 ? 'checked' : ''}>
+                            ${escapeHtml(name)}
+                        </span>
+                        <span class="text-xs text-gray-500">${sheetRows[name].length} rows</span>
+                    </label>
+                `).join('')}
+            </div>
+            <div class="border-t border-gray-200 mt-4 pt-4">
+                <label class="block text-sm font-medium text-gray-700 mb-2">Join a lookup sheet</label>
+                <select id="sheet-lookup" class="${selectClass}">
+                    <option value="">— None —</option>
+                    ${workbook.SheetNames.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('')}
+                </select>
+                <div id="sheet-join-keys" class="grid grid-cols-2 gap-3 mt-3 hidden">
+                    <div>
+                        <label class="block text-xs text-gray-600 mb-1">Shipment column</label>
+                        <select id="sheet-join-key" class="${selectClass}"></select>
+                    </div>
+                    <div>
+                        <label class="block text-xs text-gray-600 mb-1">Lookup column</label>
+                        <select id="sheet-lookup-key" class="${selectClass}"></select>
+                    </div>
+                </div>
+            </div>
+            <p id="sheet-picker-error" class="text-xs text-red-600 mt-3 hidden"></p>
+        `;
+
+        const buttons = `
+            <button id="sheet-picker-cancel" class="px-4 py-2 text-gray-600 hover:text-gray-900 text-sm font-medium transition-colors">
+                Cancel
+            </button>
+            <button id="sheet-picker-apply" class="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg text-sm font-medium transition-all duration-200">
+                Load Sheets
+            </button>
+        `;
+
+        const popup = createPopup('Choose Sheets', content, buttons);
+        popup.firstElementChild.classList.add('w-full');
+
+        const checkboxes = popup.querySelectorAll('input[data-sheet]');
+        const lookupSelect = popup.querySelector('#sheet-lookup');
+        const keySelect = popup.querySelector('#sheet-join-key');
+        const lookupKeySelect = popup.querySelector('#sheet-lookup-key');
+        const errorText = popup.querySelector('#sheet-picker-error');
+        const getCheckedSheets = () => Array.from(checkboxes).filter(box => box.checked).map(box => box.dataset.sheet);
+
+        // Key options follow the chosen sheets; a column present on both sides is the default key
+        const fillKeySelects = () => {
+            const lookupSheet = lookupSelect.value;
+            popup.querySelector('#sheet-join-keys').classList.toggle('hidden', !lookupSheet);
+            if (!lookupSheet) {
+                return;
+            }
+            const shipmentHeaders = getColumnHeaders(getCheckedSheets().flatMap(name => sheetRows[name]));
+            const lookupHeaders = getColumnHeaders(sheetRows[lookupSheet]);
+            const toOptions = headers => headers.map(header => `<option value="${escapeHtml(header)}">${escapeHtml(header)}</option>`).join('');
+            keySelect.innerHTML = toOptions(shipmentHeaders);
+            lookupKeySelect.innerHTML = toOptions(lookupHeaders);
+
+            const shared = lookupHeaders.find(header => shipmentHeaders.some(other => normalizeHeader(other) === normalizeHeader(header)));
+            if (shared) {
+                lookupKeySelect.value = shared;
+                keySelect.value = shipmentHeaders.find(header => normalizeHeader(header) === normalizeHeader(shared));
+            }
+        };
+        checkboxes.forEach(box => box.addEventListener('change', fillKeySelects));
+        lookupSelect.addEventListener('change', fillKeySelects);
+
+        // Escape (handled by createPopup) cancels the load
+        let resolved = false;
+        const finish = (result) => {
+            if (resolved) return;
+            resolved = true;
+            document.removeEventListener('keydown', handleEscape);
+            if (popup.parentNode) {
+                document.body.removeChild(popup);
+            }
+            resolve(result);
+        };
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') {
+                finish(null);
+            }
+        };
+        document.addEventListener('keydown', handleEscape);
+
+        popup.querySelector('#sheet-picker-cancel').addEventListener('click', () => finish(null));
+        popup.querySelector('#sheet-picker-apply').addEventListener('click', () => {
+            const sheets = getCheckedSheets();
+            const lookupSheet = lookupSelect.value;
+            let error = '';
+            if (sheets.length === 0) {
+                error = 'Pick at least one shipment sheet.';
+            } else if (sheets.includes(lookupSheet)) {
+                error = `"${lookupSheet}" cannot be both a shipment sheet and the lookup sheet.`;
+            } else if (lookupSheet && (!keySelect.value || !lookupKeySelect.value)) {
+                error = 'Pick the columns to join on.';
+            }
+            if (error) {
+                errorText.textContent = error;
+                errorText.classList.remove('hidden');
+                return;
+            }
+
+            finish({
+                sheets,
+                lookup: lookupSheet ? { sheet: lookupSheet, key: keySelect.value, lookupKey: lookupKeySelect.value } : null
+            });
+        });
+    });
+}
+
+// Helper function to extract row objects from parsed JSON
+// Accepts an array of records or an object wrapping one (e.g. { "shipments": [...] })
+function getJsonRows(data) {
+    if (Array.isArray(data)) {
+        return data.filter(item => item && typeof item === 'object' && !Array.isArray(item));
+    }
+    if (data && typeof data === 'object') {
+        const arrayValue = Object.values(data).find(value => Array.isArray(value));
+        if (arrayValue) {
+            return getJsonRows(arrayValue);
+        }
+    }
+    throw new Error('JSON file must contain an array of shipment records');
+}
+
+// Function to parse a local file (XLSX, CSV or JSON) into row objects
+// Resolves with { rows, sourceName }, or null when the user cancels the sheet picker
+async function parseDataFile(file) {
+    const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+
+    if (!SUPPORTED_FILE_TYPES.includes(extension)) {
+        throw new Error(`Unsupported file type "${file.name}". Please upload an .xlsx, .csv or .json file.`);
+    }
+
+    if (extension === 'json') {
+        const text = await file.text();
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        return { rows: getJsonRows(data), sourceName: file.name };
+    }
+
+    if (extension === 'csv') {
+        const text = await file.text();
+        return { rows: getWorkbookRows(XLSX.read(text, { type: 'string' })), sourceName: file.name };
+    }
+
+    const arrayBuffer = await file.arrayBuffer();
+    const workbook = XLSX.read(arrayBuffer, { type: 'array' });
+    if (workbook.SheetNames.length <= 1) {
+        return { rows: getWorkbookRows(workbook), sourceName: file.name };
     }
 
-    const newCards = [];
+    // Multi-sheet exports (per month, per region, lookup sheets) need the user to pick
+    const selection = await showSheetPicker(workbook, file.name);
+    if (!selection) {
+        return null;
+    }
+    return { rows: getWorkbookRows(workbook, selection), sourceName: `${file.name} (${describeSheetSelection(selection)})` };
+}
 
-    // 1. Top 5 late shipments
-    const lateShipments = rows
-        .map(row => {
-            const delayDays = getDelayDays(row);
-            const shipmentId = getShipmentId(row);
-            const carrier = getCarrier(row);
-            const origin = getOrigin(row);
-            const destination = getDestination(row);
-            const lane = `${origin} → ${destination}`;
+// Function to run the full dashboard pipeline on a set of rows
+function renderDashboard(rows, laneMapRows = rows) {
+    // Compute and update KPIs
+    updateKPIs(rows);
 
-            return {
-                shipmentId,
-                carrier,
-                lane,
-                delayDays
-            };
-        })
-        .filter(shipment => shipment.delayDays > 0)
-        .sort((a, b) => b.delayDays - a.delayDays)
-        .slice(0, 5);
+    // Create delay by carrier chart
+    createDelayByCarrierChart(rows);
 
-    if (lateShipments.length > 0) {
-        const tableHTML = `
-            <div class="p-4 bg-gray-50 border border-gray-200 rounded-lg">
-                <h4 class="text-sm font-medium text-gray-900 mb-3">Top ${lateShipments.length} Late Shipments</h4>
-                <div class="overflow-x-auto">
-                    <table class="min-w-full text-xs">
-                        <thead>
-                            <tr class="text-gray-700">
-                                <th class="text-left py-1 pr-2">ID</th>
-                                <th class="text-left py-1 pr-2">Carrier</th>
-                                <th class="text-left py-1 pr-2">Lane</th>
-                                <th class="text-right py-1">Delay d</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            ${lateShipments.map(shipment => `
-                                <tr class="border-t border-gray-200">
-                                    <td class="py-1 pr-2 text-gray-900">${shipment.shipmentId}</td>
-                                    <td class="py-1 pr-2 text-gray-900">${shipment.carrier}</td>
-                                    <td class="py-1 pr-2 text-gray-900">${shipment.lane}</td>
-                                    <td class="py-1 text-right text-gray-900 font-medium">${shipment.delayDays}</td>
-                                </tr>
-                            `).join('')}
-                        </tbody>
-                    </table>
-                </div>
-            </div>
-        `;
-        newCards.push(tableHTML);
-    }
+    // Create risk distribution chart
+    createRiskDistributionChart(rows);
 
-    // 2. Weekly on-time dip analysis
-    const weeklyData = {};
-    const validDateRows = [];
+    // Create cost vs distance scatter chart (anomalies highlighted) and the anomaly list
+    const anomalies = detectAnomalies(rows);
+    createCostDistanceChart(rows, anomalies);
+    renderAnomalies(rows, anomalies);
 
-    rows.forEach(row => {
-        const dateField = row.ShipmentDate || row.shipment_date || row.Date || row.date;
-        if (dateField) {
-            const parsedDate = dayjs(dateField);
-            if (parsedDate.isValid()) {
-                const weekKey = parsedDate.format('GGGG-[W]WW');
-                const delayDays = getDelayDays(row);
-                
-                if (!weeklyData[weekKey]) {
-                    weeklyData[weekKey] = { total: 0, onTime: 0 };
-                }
-                weeklyData[weekKey].total += 1;
-                if (delayDays <= 0) {
-                    weeklyData[weekKey].onTime += 1;
-                }
-                
-                validDateRows.push({ weekKey, delayDays });
-            }
-        }
-    });
+    // Create data preview table
+    createDataPreviewTable(rows);
 
-    if (Object.keys(weeklyData).length > 0) {
-        // Calculate on-time percentages for each week
-        const weeklyStats = Object.entries(weeklyData)
-            .map(([week, data]) => ({
-                week,
-                onTimePct: (data.onTime / data.total) * 100,
-                count: data.total
-            }))
-            .sort((a, b) => a.week.localeCompare(b.week));
+    // Create mode vs emissions chart and get total emissions
+    const totalEmissions = createModeEmissionsChart(rows);
 
-        // Find lowest on-time week
-        const lowestWeek = weeklyStats.reduce((min, current) => 
-            current.onTimePct < min.onTimePct ? current : min
-        );
+    // Create on-time, delay, cost and emissions trend charts
+    renderTrendCharts(rows);
 
-        // Find largest week-over-week drop
-        let largestDrop = null;
-        for (let i = 1; i < weeklyStats.length; i++) {
-            const current = weeklyStats[i];
-            const previous = weeklyStats[i - 1];
-            const delta = current.onTimePct - previous.onTimePct;
-            
-            if (delta < 0 && (!largestDrop || delta < largestDrop.delta)) {
-                largestDrop = {
-                    delta,
-                    week: current.week,
-                    pct: current.onTimePct,
-                    count: current.count
-                };
-            }
-        }
+    // Render predicted vs actual delay accuracy
+    renderPredictionAccuracy(rows);
 
-        const weeklyInsights = [];
-        
-        if (lowestWeek && lowestWeek.onTimePct < 100) {
-            weeklyInsights.push(`On-time rate dipped to ${lowestWeek.onTimePct.toFixed(1)}% in ${lowestWeek.week} (n=${lowestWeek.count}).`);
-        }
-        
-        if (largestDrop) {
-            weeklyInsights.push(`Largest WoW drop: ${Math.abs(largestDrop.delta).toFixed(1)} pts in ${largestDrop.week}.`);
-        }
+    // Render delay root-cause analysis
+    renderRootCauses(rows);
 
-        if (weeklyInsights.length > 0) {
-            const weeklyHTML = `
-                <div class="p-4 bg-gray-50 border border-gray-200 rounded-lg">
-                    <h4 class="text-sm font-medium text-gray-900 mb-2">Weekly Performance</h4>
-                    ${weeklyInsights.map(insight => 
-                        `<p class="text-gray-900 text-sm">• ${insight}</p>`
-                    ).join('')}
-                </div>
-            `;
-            newCards.push(weeklyHTML);
-        }
+    // Render lane map and analytics table
+    renderLaneMap(laneMapRows, activeFilters.carrier);
+    renderLaneTable(rows);
+
+    // Render carrier scorecards
+    renderCarrierScorecards(rows);
+
+    // Render customs and compliance section
+    renderCompliance(rows);
+
+    // Render invoice and payment reconciliation
+    renderFinance(rows);
+
+    // Render customer and segment views
+    renderCustomers(rows);
+
+    // Update CO₂ KPI with total emissions and where they came from
+    if (totalEmissions > 0) {
+        document.getElementById('kpi-co2').textContent = `${Math.round(totalEmissions).toLocaleString()} kg`;
     }
+    updateEmissionsProvenanceNote(rows);
 
-    // Insert new cards at the top of insights
-    if (newCards.length > 0) {
-        const existingContent = insightsContainer.innerHTML;
-        insightsContainer.innerHTML = newCards.join('') + existingContent;
+    // Render AI insights
+    renderInsights(rows);
+
+    // Render outliers and anomalies
+    renderOutliersAndAnomalies(rows);
+}
+
+// Function to make parsed rows the active dataset
+// `stored` marks rows reopened from the local database, `builtIn` the bundled sample (never stored)
+async function ingestRows(rows, sourceName, { interactive = true, stored = false, builtIn = false } = {}) {
+    if (!rows || rows.length === 0) {
+        throw new Error(`No shipment records found in ${sourceName}`);
     }
 
-    console.log('Outliers and anomalies rendered:', {
-        lateShipments: lateShipments.length,
-        weeklyWeeks: Object.keys(weeklyData).length
-    });
+    // Map the file's headers onto the canonical fields before anything reads them
+    columnMapping = await resolveColumnMapping(rows, sourceName, { interactive });
+
+    loadedRows = rows;
+    loadedSourceName = sourceName;
+
+    // Keep a local copy for the recent list and the next visit
+    currentDatasetId = getDatasetId(rows, sourceName);
+    currentDatasetBuiltIn = builtIn;
+    if (builtIn) {
+        renderRecentDatasets();
+    } else {
+        rememberDataset(currentDatasetId, rows, sourceName, { rowsStored: stored });
+    }
+
+    showSuccessHint(rows.length, sourceName);
+
+    // Sanction hits are flagged for the whole dataset, whatever the filters
+    renderSanctionAlert();
+
+    // Validate before anything is computed so bad rows can be kept or excluded
+    runDataQualityCheck();
+
+    // Log the first 3 rows
+    console.log(`First 3 rows of freight data (${sourceName}):`);
+    console.log(rows.slice(0, 3));
+
+    // Comparison windows are picked again from the new dataset's dates
+    comparison.windows = null;
+
+    // A new dataset starts unfiltered, with filter options taken from its rows
+    resetFilters();
+    populateFilterOptions(rows);
+    urlState.replaceNext = true;
+    applyFilters();
+
+    return rows;
 }
 
 // Function to load Excel file and parse it
 async function loadExcel(url) {
     try {
         // Show loading spinner
-        const fileHint = document.getElementById('fileHint');
-        fileHint.innerHTML = `
-            <div class="bg-white backdrop-blur-md border border-gray-200 rounded-xl p-6 shadow-lg">
-                <div class="flex items-center space-x-3">
-                    <div class="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600 mr-3"></div>
-                    <p class="text-gray-900 text-sm font-medium">Loading freight data...</p>
-                </div>
-            </div>
-        `;
+        showLoadingHint('Loading freight data...');
 
         // Fetch the Excel file as an ArrayBuffer
         const response = await fetch(url);
@@ -1060,104 +7572,109 @@ async function loadExcel(url) {
 
         // Read the Excel file using XLSX
         const workbook = XLSX.read(arrayBuffer, { type: 'array' });
-        
-        // Get the first sheet
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-
-        // Convert to JSON array
-        const rows = XLSX.utils.sheet_to_json(worksheet);
-
-        // Hide loading spinner and show success message with tour button
-        fileHint.innerHTML = `
-            <div class="bg-white backdrop-blur-md border border-gray-200 rounded-xl p-6 shadow-lg">
-                <div class="flex items-center justify-between">
-                    <div class="flex items-center space-x-3">
-                        <div class="w-6 h-6 bg-green-100 rounded-full flex items-center justify-center">
-                            <svg class="w-4 h-4 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"></path>
-                            </svg>
-                        </div>
-                        <div>
-                            <p class="text-gray-900 text-sm font-medium">✅ Successfully loaded ${rows.length} freight records</p>
-                            <p class="text-gray-600 text-xs">Ready for analysis!</p>
-                        </div>
-                    </div>
-                    <button id="walkthrough-start-success" class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200 shadow-lg hover:shadow-xl transform hover:scale-105 animate-pulse">
-                        <div class="flex items-center space-x-2">
-                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path>
-                            </svg>
-                            <span class="font-semibold">Start Tour</span>
-                        </div>
-                    </button>
-                </div>
-            </div>
-        `;
+        const rows = getWorkbookRows(workbook);
 
-        // Log the first 3 rows
-        console.log('First 3 rows of freight data:');
-        console.log(rows.slice(0, 3));
-
-        // Compute and update KPIs
-        updateKPIs(rows);
-
-        // Create delay by carrier chart
-        createDelayByCarrierChart(rows);
+        // The bundled sample is mapped automatically without prompting
+        return await ingestRows(rows, url.split('/').pop(), { interactive: false, builtIn: true });
+    } catch (error) {
+        console.error('Error loading Excel file:', error);
+        showErrorHint(error.message);
+        return null;
+    }
+}
 
-        // Create risk distribution chart
-        createRiskDistributionChart(rows);
+// Function to show under the CO₂ KPI how much of the total is reported vs estimated
+function updateEmissionsProvenanceNote(rows) {
+    const note = document.getElementById('kpi-co2-note');
+    if (!note) {
+        return;
+    }
 
-        // Create cost vs distance scatter chart
-        createCostDistanceChart(rows);
+    const summary = summarizeEmissionsProvenance(rows);
+    const totalKg = summary.reportedKg + summary.estimatedKg;
+    if (totalKg <= 0) {
+        note.textContent = '';
+        return;
+    }
 
-        // Create data preview table
-        createDataPreviewTable(rows);
+    const reportedPct = Math.round((summary.reportedKg / totalKg) * 100);
+    note.textContent = `${reportedPct}% reported · ${100 - reportedPct}% estimated`;
+    note.title = [
+        `${summary.reported} shipments with reported emissions`,
+        `${summary.estimated} estimated from distance × weight × factor`,
+        `${summary.withFallback} of those used a fallback (unknown mode or missing weight)`,
+        `${summary.unavailable} without enough data to estimate`
+    ].join('\n');
+}
 
-        // Create mode vs emissions chart and get total emissions
-        const totalEmissions = createModeEmissionsChart(rows);
-        
-        // Update CO₂ KPI with total emissions
-        if (totalEmissions > 0) {
-            document.getElementById('kpi-co2').textContent = `${Math.round(totalEmissions).toLocaleString()} kg`;
+// Function to load a file picked or dropped by the user
+async function loadLocalFile(file) {
+    try {
+        showLoadingHint(`Reading ${file.name}...`);
+        const parsed = await parseDataFile(file);
+        if (!parsed) {
+            // Picker cancelled: keep whatever was loaded before
+            if (loadedRows.length > 0) {
+                showSuccessHint(loadedRows.length, loadedSourceName);
+            } else {
+                showErrorHint(`No sheets selected from ${file.name}`);
+            }
+            return null;
         }
+        return await ingestRows(parsed.rows, parsed.sourceName);
+    } catch (error) {
+        console.error('Error loading local file:', error);
+        showErrorHint(error.message);
+        return null;
+    }
+}
 
-        // Render AI insights
-        renderInsights(rows);
+// Function to wire the upload button, hidden file input and drag-and-drop target
+function setupFileUpload() {
+    const uploadBtn = document.getElementById('btn-upload');
+    const fileInput = document.getElementById('file-input');
+    const dropZone = document.getElementById('fileHint');
 
-        // Render outliers and anomalies
-        renderOutliersAndAnomalies(rows);
+    if (uploadBtn && fileInput) {
+        uploadBtn.addEventListener('click', (e) => {
+            e.preventDefault(); // Prevent any default behavior
+            e.stopPropagation(); // Stop event bubbling
+            fileInput.click();
+        });
 
-        // Add event listener for success message tour button
-        setTimeout(() => {
-            const successTourBtn = document.getElementById('walkthrough-start-success');
-            if (successTourBtn) {
-                successTourBtn.addEventListener('click', () => {
-                    walkthrough.start();
-                });
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (file) {
+                loadLocalFile(file);
             }
-        }, 100);
+            // Reset so selecting the same file again still triggers a change
+            fileInput.value = '';
+        });
+    }
 
-        return rows;
-    } catch (error) {
-        console.error('Error loading Excel file:', error);
-        
-        // Show error message
-        const fileHint = document.getElementById('fileHint');
-        fileHint.innerHTML = `
-            <div class="bg-white backdrop-blur-md border border-gray-200 rounded-xl p-6 shadow-lg">
-                <div class="flex items-center space-x-3">
-                    <div class="w-6 h-6 bg-red-100 rounded-full flex items-center justify-center">
-                        <svg class="w-4 h-4 text-red-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
-                        </svg>
-                    </div>
-                    <p class="text-gray-900 text-sm font-medium">❌ Error loading freight data: ${error.message}</p>
-                </div>
-            </div>
-        `;
-        
-        return null;
+    if (dropZone) {
+        const dragClasses = ['ring-4', 'ring-blue-400', 'rounded-xl'];
+
+        ['dragenter', 'dragover'].forEach(eventName => {
+            dropZone.addEventListener(eventName, (e) => {
+                e.preventDefault();
+                dropZone.classList.add(...dragClasses);
+            });
+        });
+
+        ['dragleave', 'drop'].forEach(eventName => {
+            dropZone.addEventListener(eventName, (e) => {
+                e.preventDefault();
+                dropZone.classList.remove(...dragClasses);
+            });
+        });
+
+        dropZone.addEventListener('drop', (e) => {
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (file) {
+                loadLocalFile(file);
+            }
+        });
     }
 }
 
@@ -1198,36 +7715,6 @@ function showWelcomeMessage() {
     });
 }
 
-// Function to show demo message
-function showDemoMessage() {
-    const content = `
-        <p class="text-sm text-gray-700">
-            ✨ This is a demo :) The sample dataset will be used automatically.
-        </p>
-    `;
-    
-    const buttons = `
-        <button id="close-demo-popup" class="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg text-sm font-medium transition-all duration-200">
-            Got it!
-        </button>
-    `;
-    
-    const popup = createPopup('Demo Mode', content, buttons);
-    
-    // Add close functionality
-    const closeBtn = popup.querySelector('#close-demo-popup');
-    const closePopup = () => {
-        document.body.removeChild(popup);
-    };
-    
-    closeBtn.addEventListener('click', closePopup);
-    popup.addEventListener('click', (e) => {
-        if (e.target === popup) {
-            closePopup();
-        }
-    });
-}
-
 // ---- Scroll helpers ----
 const SCROLL_APPLIES_FROM_STEP = 6;
 const FIXED_HEADER_SELECTOR = '#topbar, .topbar, header'; // adjust if needed
@@ -1368,7 +7855,7 @@ class WalkthroughSystem {
             },
             {
                 title: "Delay Analysis",
-                description: "This chart shows average delays by carrier, helping you identify which carriers need attention.",
+                description: "This chart shows average delays by carrier, helping you identify which carriers need attention. Click a bar to drill into that carrier.",
                 target: "#chart-delay-by-carrier",
                 useParentCard: true,
                 action: () => this.highlightElement("#chart-delay-by-carrier", { stepIndex: 7, useParentCard: true }),
@@ -1384,7 +7871,7 @@ class WalkthroughSystem {
             },
             {
                 title: "Cost vs Distance Analysis",
-                description: "This scatter plot reveals cost efficiency patterns. Look for outliers that might indicate optimization opportunities.",
+                description: "This scatter plot reveals cost efficiency patterns. Look for outliers that might indicate optimization opportunities, and drag a box over points to list them in the table.",
                 target: "#chart-cost-distance",
                 useParentCard: true,
                 action: () => this.highlightElement("#chart-cost-distance", { stepIndex: 9, useParentCard: true }),
@@ -1399,8 +7886,8 @@ class WalkthroughSystem {
                 icon: "leaf"
             },
             {
-                title: "Data Preview",
-                description: "Review your raw data in this table. You can see all shipments with their key attributes and performance metrics.",
+                title: "Shipment Data",
+                description: "Review your raw data in this table. Sort by any column, search across all fields, filter individual columns and choose which columns to show.",
                 target: "#table-container",
                 action: () => this.highlightElement("#table-container", { stepIndex: 11 }),
                 icon: "table"
@@ -1641,11 +8128,8 @@ class WalkthroughSystem {
     }
 
     simulateDataUpload() {
-        // Simulate clicking upload button
-        const uploadBtn = document.getElementById('btn-upload');
-        if (uploadBtn) {
-            uploadBtn.click();
-        }
+        // Highlight the upload button (clicking it would open the file picker mid-tour)
+        this.highlightElement("#btn-upload", { stepIndex: 2 });
         
         // Auto-advance after a delay to show the data loading
         setTimeout(() => {
@@ -1656,62 +8140,45 @@ class WalkthroughSystem {
     }
 
     populateFilters() {
-        // Populate filter dropdowns with demo data
-        const carrierSelect = document.querySelector('#filters select:nth-of-type(1)');
-        const modeSelect = document.querySelector('#filters select:nth-of-type(2)');
-        const riskSelect = document.querySelector('#filters select:nth-of-type(3)');
-        
-        if (carrierSelect) {
-            carrierSelect.innerHTML = `
-                <option class="bg-white text-gray-900">All Carriers</option>
-                <option class="bg-white text-gray-900">FedEx</option>
-                <option class="bg-white text-gray-900">UPS</option>
-                <option class="bg-white text-gray-900">DHL</option>
-                <option class="bg-white text-gray-900">TNT</option>
-            `;
-        }
-        
-        if (modeSelect) {
-            modeSelect.innerHTML = `
-                <option class="bg-white text-gray-900">All Modes</option>
-                <option class="bg-white text-gray-900">Air</option>
-                <option class="bg-white text-gray-900">Road</option>
-                <option class="bg-white text-gray-900">Rail</option>
-                <option class="bg-white text-gray-900">Sea</option>
-            `;
-        }
-        
-        if (riskSelect) {
-            riskSelect.innerHTML = `
-                <option class="bg-white text-gray-900">All Risk Levels</option>
-                <option class="bg-white text-gray-900">Low</option>
-                <option class="bg-white text-gray-900">Medium</option>
-                <option class="bg-white text-gray-900">High</option>
-                <option class="bg-white text-gray-900">Critical</option>
-            `;
-        }
+        // Make sure the filter dropdowns reflect the loaded data
+        populateFilterOptions(loadedRows);
     }
 
     simulateFilterInteraction() {
-        // Simulate user interacting with filters
-        const carrierSelect = document.querySelector('#filters select:nth-of-type(1)');
-        const modeSelect = document.querySelector('#filters select:nth-of-type(2)');
+        // Simulate user interacting with filters using values from the loaded data
+        const carrierSelect = document.getElementById('filter-carrier');
+        const modeSelect = document.getElementById('filter-mode');
+
+        // The user's own filters and drill-down path come back afterwards; the demo steps only replace the URL entry
+        const savedFilters = { ...activeFilters };
+        const savedDrillHistory = drillHistory.map(entry => ({ ...entry, filters: { ...entry.filters } }));
         
-        if (carrierSelect) {
+        if (carrierSelect && carrierSelect.options.length > 1) {
             // Simulate selecting a carrier
             setTimeout(() => {
-                carrierSelect.value = 'FedEx';
+                urlState.replaceNext = true;
+                carrierSelect.value = carrierSelect.options[1].value;
                 carrierSelect.dispatchEvent(new Event('change'));
             }, 500);
         }
         
-        if (modeSelect) {
+        if (modeSelect && modeSelect.options.length > 1) {
             // Simulate selecting a mode
             setTimeout(() => {
-                modeSelect.value = 'Air';
+                urlState.replaceNext = true;
+                modeSelect.value = modeSelect.options[1].value;
                 modeSelect.dispatchEvent(new Event('change'));
             }, 1000);
         }
+
+        // Restore the user's filters once the demo has been shown
+        setTimeout(() => {
+            Object.assign(activeFilters, savedFilters);
+            drillHistory.splice(0, drillHistory.length, ...savedDrillHistory);
+            syncFilterControls();
+            urlState.replaceNext = true;
+            applyFilters();
+        }, 3000);
     }
 
     addInteractiveDemo() {
@@ -1736,24 +8203,81 @@ class WalkthroughSystem {
 const walkthrough = new WalkthroughSystem();
 
 // Load Excel data when page loads
-document.addEventListener('DOMContentLoaded', () => {
-    // Load the sample dataset automatically
-    loadExcel('./data/Sample_Freight_Dataset.xlsx');
-    
-    // Show welcome message after data loads
-    setTimeout(() => {
-        showWelcomeMessage();
-    }, 3000);
-    
-    // Override Upload Data button behavior
-    const uploadBtn = document.getElementById('btn-upload');
-    if (uploadBtn) {
-        uploadBtn.addEventListener('click', (e) => {
-            e.preventDefault(); // Prevent any default behavior
-            e.stopPropagation(); // Stop event bubbling
-            showDemoMessage();
-        });
-    }
+document.addEventListener('DOMContentLoaded', async () => {
+    // Restore saved settings and column mappings before the first render
+    await loadSettings();
+    await loadColumnMappings();
+
+    // Reopen the dataset and filters from the last visit, or load the sample dataset;
+    // a shared link (?carrier=...&from=...) then takes precedence over the session's view
+    const sharedView = readUrlView();
+    const firstVisit = await isFirstVisit();
+    restoreLastSession().then(async restored => {
+        if (!restored) {
+            await loadExcel(SAMPLE_DATASET_URL);
+        }
+        if (sharedView && loadedRows.length > 0) {
+            await restoreUrlView(sharedView);
+        }
+
+        // Show welcome message once the data is in, on the first visit only
+        if (firstVisit) {
+            markVisited();
+            showWelcomeMessage();
+        }
+    });
+
+    // Recent datasets menu and clearing local data
+    setupRecentDatasets();
+
+    // Back/forward through filter changes and the copy link button
+    setupUrlState();
+
+    // Upload Data button opens a file picker; files can also be dropped on the hint
+    setupFileUpload();
+
+    // Filter panel
+    setupFilters();
+
+    // Shipment detail drawer
+    setupShipmentDrawer();
+
+    // Export menu
+    setupExportMenu();
+
+    // Period over period / file vs file comparison
+    setupComparison();
+
+    // Trend granularity and rolling-average controls
+    setupTrendControls();
+
+    // Anomaly sensitivity control
+    setupAnomalyDetection();
+
+    // Prediction accuracy controls
+    setupPredictionAccuracy();
+
+    // Lane map colour and lane analytics port/country toggles
+    setupLaneMap();
+    setupLaneTable();
+
+    // Carrier scorecard weights and comparison
+    setupCarrierScorecards();
+
+    // Most-impacted customers list length
+    document.getElementById('customer-top-n').addEventListener('change', () => renderCustomers(filteredRows));
+
+    // Payment SLA and aging date
+    setupFinance();
+
+    // Compliance breakdown toggle
+    document.getElementById('compliance-group').addEventListener('change', () => renderCompliance(filteredRows));
+
+    // Root-cause ranking toggle
+    document.getElementById('root-cause-metric').addEventListener('change', () => renderRootCauses(filteredRows));
+
+    // Settings panel
+    document.getElementById('btn-settings').addEventListener('click', openSettingsPanel);
 
     // Walkthrough event listeners
     document.getElementById('walkthrough-start').addEventListener('click', () => {